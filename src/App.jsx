@@ -1,34 +1,115 @@
-import { useEffect, useState, useRef } from "react";
+import { useCallback, useEffect, useState, useRef, useMemo } from "react";
 
 import Chat from "./components/Chat";
 import SendIcon from "./components/icons/SendIcon";
 import StopIcon from "./components/icons/StopIcon";
 import GitHubIcon from "./components/icons/GitHubIcon";
-import ModelSelector, { AVAILABLE_MODELS } from "./components/ModelSelector";
+import ModelSelector from "./components/ModelSelector";
+import { AVAILABLE_MODELS, canSwitchThinking, findModel, getModelDevice } from "./modelRegistry";
 import ModelSelectionModal from "./components/ModelSelectionModal";
 import InlineProgress from "./components/InlineProgress";
+import ConversationSidebar from "./components/ConversationSidebar";
+import SidebarIcon from "./components/icons/SidebarIcon";
+import ExportMenu from "./components/ExportMenu";
+import PersonaSelector from "./components/PersonaSelector";
+import PersonaManagerModal from "./components/PersonaManagerModal";
+import { getStoredPersonas, setStoredPersonas } from "./utils/personas";
+import { getStoredCustomModels, setStoredCustomModels } from "./utils/customModels";
+import { isLocalModel, saveLocalModelFiles, deleteLocalModelFiles } from "./utils/localModels";
+import GenerationSettingsModal from "./components/GenerationSettingsModal";
+import SettingsIcon from "./components/icons/SettingsIcon";
+import StorageModal from "./components/StorageModal";
+import StorageIcon from "./components/icons/StorageIcon";
+import { getCachedFiles, getCacheStatus, deleteCachedRepo } from "./utils/modelCache";
+import { resolveGenerationConfig } from "./utils/generationConfig";
+import { registerServiceWorker } from "./utils/serviceWorker";
+import { ATTACHMENT_ACCEPT, estimateTokens, readAttachment, toPromptContent } from "./utils/attachments";
+import AttachmentChips from "./components/AttachmentChips";
+import ImageThumbnails from "./components/ImageThumbnails";
+import ImageIcon from "./components/icons/ImageIcon";
+import { IMAGE_ACCEPT, isImageFile, readImage } from "./utils/images";
+import DocumentLibraryModal from "./components/DocumentLibraryModal";
+import BookIcon from "./components/icons/BookIcon";
+import WrenchIcon from "./components/icons/WrenchIcon";
+import LightbulbIcon from "./components/icons/LightbulbIcon";
+import { removeThinkBlocks } from "./utils/thinkBlocks";
+import CompareModal from "./components/CompareModal";
+import CompareIcon from "./components/icons/CompareIcon";
+import { addVote, createComparison, isComparing, updateComparisonRun } from "./utils/comparisons";
+import BenchmarkModal from "./components/BenchmarkModal";
+import ChartIcon from "./components/icons/ChartIcon";
+import {
+  getStoredBenchmarks,
+  setStoredBenchmarks,
+  getSystemInfo,
+  createBenchmarkReport,
+  getBenchmarkFilename,
+  toBenchmarkJSON,
+  toBenchmarkCSV,
+} from "./utils/benchmarks";
+import {
+  RETRIEVAL_TOP_K,
+  chunkText,
+  listDocuments,
+  saveDocument,
+  deleteDocument,
+  searchDocuments,
+} from "./utils/documents";
+import PaperclipIcon from "./components/icons/PaperclipIcon";
+import MicrophoneIcon from "./components/icons/MicrophoneIcon";
+import { isSpeechInputSupported, startRecording, decodeAudio } from "./utils/speech";
+import SpeakerIcon from "./components/icons/SpeakerIcon";
+import { ReadAloudPlayer, getSpeakableText, splitSentences } from "./utils/readAloud";
+import {
+  createTree,
+  getActivePath,
+  getLeafId,
+  addMessage,
+  updateMessage,
+  selectChild,
+  removeMessage,
+  removeTurn,
+  toMessage,
+} from "./utils/messageTree";
+import {
+  listConversations,
+  getConversation,
+  saveConversation,
+  renameConversation,
+  deleteConversation,
+  deriveTitle,
+} from "./utils/conversations";
+import {
+  toMarkdown,
+  toJSON,
+  toHTML,
+  parseConversationJSON,
+  getExportFilename,
+  downloadFile,
+} from "./utils/exportConversation";
 
-// Enhanced WebGPU compatibility check
-async function isWebGPUok() {
+// Enhanced WebGPU compatibility check. Models that need more than this
+// browser offers fall back to the CPU (WASM), see getModelDevice().
+async function checkWebGPU() {
   if (!("gpu" in navigator)) {
-    return { isSupported: false, error: 'WebGPU is NOT supported on this browser.' };
+    return { webgpu: false, shaderF16: false, error: 'WebGPU is NOT supported on this browser.' };
   }
 
   const adapter = await navigator.gpu.requestAdapter();
   if (!adapter) {
-    return { isSupported: false, error: 'WebGPU Adapter not found.' };
+    return { webgpu: false, shaderF16: false, error: 'WebGPU Adapter not found.' };
   }
 
   const device = await adapter.requestDevice();
   if (!device) {
-    return { isSupported: false, error: 'WebGPU Device not available.' };
+    return { webgpu: false, shaderF16: false, error: 'WebGPU Device not available.' };
   }
 
   if (!adapter.features.has('shader-f16')) {
-    return { isSupported: false, error: 'WebGPU "shader-f16" feature is NOT supported on this device.' };
+    return { webgpu: true, shaderF16: false, error: 'WebGPU "shader-f16" feature is NOT supported on this device.' };
   }
 
-  return { isSupported: true, error: null };
+  return { webgpu: true, shaderF16: true, error: null };
 }
 
 const STICKY_SCROLL_THRESHOLD = 120;
@@ -46,7 +127,7 @@ function getStoredModel() {
     const stored = localStorage.getItem(STORAGE_KEY);
     
     // Validate that the stored model still exists in available models
-    if (stored && !AVAILABLE_MODELS.find(model => model.url === stored)) {
+    if (stored && !findModel(stored, [...AVAILABLE_MODELS, ...getStoredCustomModels()])) {
       console.warn(`Stored model ${stored} is no longer available, clearing from storage`);
       localStorage.removeItem(STORAGE_KEY);
       return null;
@@ -67,9 +148,89 @@ function setStoredModel(modelId) {
   }
 }
 
+const SIDEBAR_STORAGE_KEY = 'privatgespraech-sidebar-open';
+
+function getStoredSidebarOpen() {
+  try {
+    return localStorage.getItem(SIDEBAR_STORAGE_KEY) === 'true';
+  } catch (error) {
+    console.warn('localStorage not available:', error);
+    return false;
+  }
+}
+
+function setStoredSidebarOpen(isOpen) {
+  try {
+    localStorage.setItem(SIDEBAR_STORAGE_KEY, String(isOpen));
+  } catch (error) {
+    console.warn('localStorage not available:', error);
+  }
+}
+
+const USE_DOCUMENTS_STORAGE_KEY = 'privatgespraech-use-documents';
+
+function getStoredUseDocuments() {
+  try {
+    return localStorage.getItem(USE_DOCUMENTS_STORAGE_KEY) !== 'false';
+  } catch (error) {
+    console.warn('localStorage not available:', error);
+    return true;
+  }
+}
+
+function setStoredUseDocuments(useDocuments) {
+  try {
+    localStorage.setItem(USE_DOCUMENTS_STORAGE_KEY, String(useDocuments));
+  } catch (error) {
+    console.warn('localStorage not available:', error);
+  }
+}
+
+const AUTO_READ_ALOUD_STORAGE_KEY = 'privatgespraech-auto-read-aloud';
+
+function getStoredAutoReadAloud() {
+  try {
+    return localStorage.getItem(AUTO_READ_ALOUD_STORAGE_KEY) === 'true';
+  } catch (error) {
+    console.warn('localStorage not available:', error);
+    return false;
+  }
+}
+
+function setStoredAutoReadAloud(autoReadAloud) {
+  try {
+    localStorage.setItem(AUTO_READ_ALOUD_STORAGE_KEY, String(autoReadAloud));
+  } catch (error) {
+    console.warn('localStorage not available:', error);
+  }
+}
+
+const USE_TOOLS_STORAGE_KEY = 'privatgespraech-use-tools';
+
+function getStoredUseTools() {
+  try {
+    return localStorage.getItem(USE_TOOLS_STORAGE_KEY) === 'true';
+  } catch (error) {
+    console.warn('localStorage not available:', error);
+    return false;
+  }
+}
+
+function setStoredUseTools(useTools) {
+  try {
+    localStorage.setItem(USE_TOOLS_STORAGE_KEY, String(useTools));
+  } catch (error) {
+    console.warn('localStorage not available:', error);
+  }
+}
+
+// Whether a drag event carries files (and not e.g. selected text)
+function isFileDrag(event) {
+  return event.dataTransfer?.types.includes("Files");
+}
+
 // Get context window size for different models
-function getContextWindowSize(modelUrl) {
-  const model = AVAILABLE_MODELS.find(m => m.url === modelUrl);
+function getContextWindowSize(model) {
   return model?.contextSize || 8192; // Default to 8k if unknown
 }
 
@@ -78,6 +239,9 @@ function App() {
   const worker = useRef(null);
 
   const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const imageInputRef = useRef(null);
+  const dragDepthRef = useRef(0); // Nested dragenter/dragleave events while dragging files over the app
   const chatContainerRef = useRef(null);
 
   // Model loading and progress
@@ -89,17 +253,126 @@ function App() {
   const [selectedModel, setSelectedModel] = useState('onnx-community/Llama-3.2-1B-Instruct-q4f16');
   const [showModelSelectionModal, setShowModelSelectionModal] = useState(false);
   const [hasInitialized, setHasInitialized] = useState(false);
+  const [customModels, setCustomModels] = useState(getStoredCustomModels);
+  const allModels = useMemo(() => [...AVAILABLE_MODELS, ...customModels], [customModels]);
+
+  // Model cache: cached files by repo, and the model being pre-downloaded
+  const [cachedFiles, setCachedFiles] = useState(null); // null = not read yet
+  const [download, setDownload] = useState(null); // Latest download_progress message
+  const [showStorage, setShowStorage] = useState(false);
+
+  // Activates a new version of the app, set once one has been downloaded
+  const [applyUpdate, setApplyUpdate] = useState(null);
 
   // WebGPU compatibility
-  const [webGPUStatus, setWebGPUStatus] = useState(null); // null = checking, true = ok, string = error message
+  const [webGPUStatus, setWebGPUStatus] = useState(null); // null = checking, otherwise { webgpu, shaderF16, error }
 
   // Inputs and outputs
   const [input, setInput] = useState("");
-  const [messages, setMessages] = useState([]);
-  const [queuedMessage, setQueuedMessage] = useState(null); // For storing message when model is loading
+  const [attachments, setAttachments] = useState([]); // Files for the next message, see utils/attachments.js
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const [images, setImages] = useState([]); // Images for the next message, see utils/images.js
+  const [tree, setTree] = useState(createTree); // All messages, including other branches
+  const messages = useMemo(() => getActivePath(tree), [tree]); // The selected branch
+  const [generationRequest, setGenerationRequest] = useState(null); // Answer requested but not sent to the worker yet: { continuation, parentId }
+  const answerParentRef = useRef(null); // Message the answer being generated follows, see onRegenerate
   const [tps, setTps] = useState(null);
   const [numTokens, setNumTokens] = useState(null);
   const [contextTokens, setContextTokens] = useState(null); // Current context window usage
+  const [cacheInfo, setCacheInfo] = useState(null); // KV cache reuse for the current answer
+  const [contextStart, setContextStart] = useState(0); // Messages before this index are not sent to the model
+  const [contextSummary, setContextSummary] = useState(null); // Rolling summary of dropped turns: { content, upTo }
+  const [isSummarizing, setIsSummarizing] = useState(false);
+
+  // Conversation history
+  const [conversationId, setConversationId] = useState(null); // null = not saved yet
+  const [conversations, setConversations] = useState([]);
+  const [isSidebarOpen, setIsSidebarOpen] = useState(getStoredSidebarOpen);
+  const persistedRef = useRef(null); // Last state written to (or read from) storage
+
+  // Personas (named system prompts)
+  const [personas, setPersonas] = useState(getStoredPersonas);
+  const [personaId, setPersonaId] = useState(null);
+  const [showPersonaManager, setShowPersonaManager] = useState(false);
+
+  // Document library for answers based on the user's own files
+  const [documents, setDocuments] = useState([]);
+  const [useDocuments, setUseDocuments] = useState(getStoredUseDocuments);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [libraryProgress, setLibraryProgress] = useState(null); // Document being embedded: { name, done, total }
+  const [isRetrieving, setIsRetrieving] = useState(false);
+  const embedRequestsRef = useRef(new Map()); // Pending "embed" requests to the worker by id
+
+  // Voice input, transcribed by Whisper in its own worker (speechWorker.js)
+  const speechWorker = useRef(null);
+  const stopRecordingRef = useRef(null);
+  const transcriptBaseRef = useRef(""); // Message box text the transcript is appended to
+  const [speechInput, setSpeechInput] = useState(null); // null, "recording" or "transcribing"
+  const [speechModelStatus, setSpeechModelStatus] = useState(null); // null, "loading" or "ready"
+  const [speechProgressItems, setSpeechProgressItems] = useState([]);
+
+  // Reading answers aloud, see utils/readAloud.js
+  const synthesizeRequestsRef = useRef(new Map()); // Pending "synthesize" requests to the speech worker by id
+  const [readAloud, setReadAloud] = useState(null); // Sentence being read: { key, sentence, paused }
+  const [readAloudPlayer] = useState(() => new ReadAloudPlayer({ synthesize: synthesizeSpeech, onChange: setReadAloud }));
+  const [autoReadAloud, setAutoReadAloud] = useState(getStoredAutoReadAloud);
+  const [useTools, setUseTools] = useState(getStoredUseTools); // Built-in tools, see utils/tools.js
+
+  // Compare mode: one prompt answered by two models, see utils/comparisons.js
+  const [showCompare, setShowCompare] = useState(false);
+  const [comparison, setComparison] = useState(null);
+
+  // Benchmark page, see utils/benchmarks.js
+  const [showBenchmark, setShowBenchmark] = useState(false);
+  const [benchmarkReports, setBenchmarkReports] = useState(getStoredBenchmarks);
+  const [benchmarkRun, setBenchmarkRun] = useState(null); // Models being benchmarked: { runs: [{ modelId, status, step, error }] }
+  const benchmarkRequestRef = useRef(null); // The running "benchmark" request to the worker
+  const systemPrompt = personas.find((persona) => persona.id === personaId)?.prompt ?? null;
+
+  // Generation parameters: model defaults plus per-conversation overrides
+  const [generationOverrides, setGenerationOverrides] = useState({});
+  const [showGenerationSettings, setShowGenerationSettings] = useState(false);
+  const selectedModelData = findModel(selectedModel, allModels);
+  const generationConfig = useMemo(
+    () => resolveGenerationConfig(selectedModelData, generationOverrides),
+    [selectedModelData, generationOverrides],
+  );
+  const contextSize = getContextWindowSize(selectedModelData);
+
+  // The next message has to fit into the context window next to the answer
+  const promptBudget = contextSize - generationConfig.max_new_tokens;
+  const promptTokens = attachments.reduce((total, { tokens }) => total + tokens, estimateTokens(input));
+  const attachmentsOverflow = attachments.length > 0 && promptTokens > promptBudget;
+  const acceptsImages = selectedModelData?.features.vision ?? false;
+  const supportsTools = selectedModelData?.features.tools ?? false;
+  // Reasoning models think unless the chat turned it off, see onToggleThinking
+  const thinkingEnabled = Boolean(selectedModelData?.features.thinking) &&
+    (generationConfig.thinking || !canSwitchThinking(selectedModelData));
+  const imagesUnsupported = images.length > 0 && !acceptsImages;
+  const canSend =
+    (input.length > 0 || attachments.length > 0 || images.length > 0) &&
+    !attachmentsOverflow &&
+    !imagesUnsupported &&
+    !isRunning &&
+    !isRetrieving &&
+    !isComparing(comparison) &&
+    !benchmarkRun &&
+    speechInput !== "transcribing" &&
+    !(status === "loading" && generationRequest);
+  const selectedDevice = selectedModelData && webGPUStatus ? getModelDevice(selectedModelData, webGPUStatus) : null;
+
+  // Models that load without network access
+  const cachedModels = useMemo(() => {
+    if (!cachedFiles || !webGPUStatus) return new Set();
+    return new Set(
+      allModels
+        .filter((model) => {
+          const device = getModelDevice(model, webGPUStatus) ?? model.device;
+          return ["cached", "local"].includes(getCacheStatus(model, device, cachedFiles).status);
+        })
+        .map((model) => model.url),
+    );
+  }, [allModels, cachedFiles, webGPUStatus]);
 
   // Mobile detection
   const [isMobile, setIsMobile] = useState(false);
@@ -118,79 +391,686 @@ function App() {
   }, []);
 
   useEffect(() => {
-    const checkWebGPU = async () => {
+    const detectWebGPU = async () => {
       try {
-        const { isSupported, error } = await isWebGPUok();
-        setWebGPUStatus({
-          isSupported,
-          error: isSupported ? null : error
-        });
+        setWebGPUStatus(await checkWebGPU());
       } catch (err) {
         setWebGPUStatus({
-          isSupported: false,
+          webgpu: false,
+          shaderF16: false,
           error: err.message || "Failed to check WebGPU compatibility"
         });
       }
     };
 
-    checkWebGPU();
+    detectWebGPU();
   }, []);
 
-  function onEnter(message) {
+  // Generate an answer for the selected branch as soon as the model is
+  // ready, loading it first if needed. With `continuation` the model keeps
+  // writing the last answer instead.
+  // `parentId` is the message to answer when it is not the last one of the
+  // selected branch (regenerating an earlier answer)
+  function requestGeneration(continuation = false, parentId = null) {
+    setGenerationRequest({ continuation, parentId });
+    setTps(null);
+    setError(null);
+    if (status !== "ready" && status !== "loading") {
+      setStatus("loading");
+      loadModel(selectedModel);
+    }
+  }
+
+  async function onEnter(message) {
     // Prevent queueing multiple messages
-    if (status === "loading" && queuedMessage) {
+    if ((status === "loading" && generationRequest) || isRetrieving) {
       return;
     }
     
-    // Always add the message to the chat immediately for visibility
-    setMessages((prev) => [...prev, { role: "user", content: message }]);
-    setTps(null);
+    const userMessage = { role: "user", content: message };
+    if (attachments.length > 0) {
+      userMessage.attachments = attachments.map(({ name, content }) => ({ name, content }));
+    }
+    if (images.length > 0) {
+      userMessage.images = images.map(({ name, dataUrl }) => ({ name, dataUrl }));
+    }
     setInput("");
-    
-    if (status !== "ready") {
-      // Model not ready - queue the message and start loading if not already loading
-      setQueuedMessage(message);
-      if (status !== "loading") {
-        setStatus("loading");
-        worker.current.postMessage({ 
-          type: "load", 
-          model_id: selectedModel 
-        });
+    setAttachments([]);
+    setImages([]);
+
+    // The message shows up once the document library has been searched
+    const withDocuments = await withSources(userMessage);
+    setTree((prev) => addMessage(prev, getLeafId(prev), withDocuments));
+    requestGeneration();
+  }
+
+  // Ask the worker to embed `texts`, see utils/documents.js. Resolves with
+  // one normalized Float32Array per text.
+  function embedTexts(texts, onProgress = null) {
+    const id = crypto.randomUUID();
+    return new Promise((resolve, reject) => {
+      embedRequestsRef.current.set(id, { resolve, reject, onProgress });
+      worker.current.postMessage({ type: "embed", data: { id, texts } });
+    });
+  }
+
+  // With the document library enabled, look up the excerpts that match a new
+  // user message. They are stored with the message, so the prompt can be
+  // rebuilt later and the answer's citations can be opened.
+  async function withSources(userMessage) {
+    if (!useDocuments || documents.length === 0 || !userMessage.content.trim()) {
+      return userMessage;
+    }
+
+    setIsRetrieving(true);
+    try {
+      const [embedding] = await embedTexts([userMessage.content]);
+      const sources = await searchDocuments(embedding, RETRIEVAL_TOP_K);
+      return sources.length > 0 ? { ...userMessage, sources } : userMessage;
+    } catch (error) {
+      console.warn('Could not search the document library:', error);
+      return userMessage;
+    } finally {
+      setIsRetrieving(false);
+    }
+  }
+
+  // The speech worker is only started once the microphone is first used
+  function getSpeechWorker() {
+    if (!speechWorker.current) {
+      speechWorker.current = new Worker(new URL("./speechWorker.js", import.meta.url), {
+        type: "module",
+      });
+      speechWorker.current.addEventListener("message", onSpeechMessage);
+    }
+    return speechWorker.current;
+  }
+
+  function onSpeechMessage(e) {
+    switch (e.data.status) {
+      case "initiate":
+        setSpeechProgressItems((prev) => [...prev, e.data]);
+        break;
+
+      case "progress":
+        setSpeechProgressItems((prev) =>
+          prev.map((item) => (item.file === e.data.file ? { ...item, ...e.data } : item)),
+        );
+        break;
+
+      case "done":
+        setSpeechProgressItems((prev) => prev.filter((item) => item.file !== e.data.file));
+        break;
+
+      case "ready":
+        setSpeechModelStatus("ready");
+        setSpeechProgressItems([]);
+        refreshModelCache(); // The model's files are cached now
+        break;
+
+      case "voice_ready":
+        refreshModelCache();
+        break;
+
+      case "synthesize_complete":
+        synthesizeRequestsRef.current.get(e.data.id)?.resolve({ audio: e.data.audio, sampling_rate: e.data.sampling_rate });
+        synthesizeRequestsRef.current.delete(e.data.id);
+        break;
+
+      case "synthesize_error":
+        synthesizeRequestsRef.current.get(e.data.id)?.reject(new Error(e.data.data));
+        synthesizeRequestsRef.current.delete(e.data.id);
+        break;
+
+      case "update":
+        // Partial transcript, replaced as recognition progresses
+        setInput(transcriptBaseRef.current + e.data.text);
+        break;
+
+      case "complete":
+        setInput(transcriptBaseRef.current + e.data.text);
+        setSpeechInput(null);
+        textareaRef.current?.focus();
+        break;
+
+      case "error":
+        setSpeechInput(null);
+        setSpeechModelStatus(null);
+        setSpeechProgressItems([]);
+        window.alert(`Speech recognition failed: ${e.data.data}`);
+        break;
+    }
+  }
+
+  async function onToggleRecording() {
+    if (speechInput === "recording") {
+      setSpeechInput("transcribing");
+      try {
+        const audio = await decodeAudio(await stopRecordingRef.current());
+        // The transcript goes after what was already typed, for review before sending
+        transcriptBaseRef.current = input && !/\s$/.test(input) ? `${input} ` : input;
+        getSpeechWorker().postMessage({ type: "transcribe", data: audio }, [audio.buffer]);
+      } catch (error) {
+        console.warn('Could not read the recording:', error);
+        setSpeechInput(null);
       }
+      stopRecordingRef.current = null;
+      return;
+    }
+
+    try {
+      stopRecordingRef.current = await startRecording();
+    } catch (error) {
+      window.alert(`Could not use the microphone: ${error.message}`);
+      return;
+    }
+    setSpeechInput("recording");
+    // Load the model while the user is speaking
+    if (speechModelStatus === null) {
+      setSpeechModelStatus("loading");
+      getSpeechWorker().postMessage({ type: "load" });
+    }
+  }
+
+  // Speech for one sentence from the local voice model. Resolves with
+  // { audio, sampling_rate }.
+  function synthesizeSpeech(text) {
+    const id = crypto.randomUUID();
+    return new Promise((resolve, reject) => {
+      synthesizeRequestsRef.current.set(id, { resolve, reject });
+      getSpeechWorker().postMessage({ type: "synthesize", data: { id, text } });
+    });
+  }
+
+  function onReadAloud(messageIndex) {
+    const { id, content } = messages[messageIndex];
+    readAloudPlayer.start(id, splitSentences(getSpeakableText(content)));
+  }
+
+  function onToggleAutoReadAloud() {
+    setAutoReadAloud(!autoReadAloud);
+    setStoredAutoReadAloud(!autoReadAloud);
+    if (autoReadAloud) {
+      readAloudPlayer.stop();
     } else {
-      // Model ready - start generation immediately
-      setIsRunning(true);
+      readAloudPlayer.prepare();
     }
   }
 
+  function onToggleTools() {
+    setUseTools(!useTools);
+    setStoredUseTools(!useTools);
+  }
+
+  // Thinking is a generation parameter, so it is switched for this chat only
+  function onToggleThinking() {
+    const overrides = { ...generationOverrides, thinking: !generationConfig.thinking };
+    if (overrides.thinking === resolveGenerationConfig(selectedModelData).thinking) {
+      delete overrides.thinking;
+    }
+    setGenerationOverrides(overrides);
+  }
+
+  function refreshDocuments() {
+    listDocuments()
+      .then(setDocuments)
+      .catch((error) => console.warn('Could not list documents:', error));
+  }
+
+  async function onAddDocuments(files) {
+    const problems = [];
+    for (const file of files) {
+      try {
+        const { name, content } = await readAttachment(file);
+        const chunks = chunkText(content);
+        setLibraryProgress({ name, done: 0, total: chunks.length });
+        const embeddings = await embedTexts(chunks, (done) => setLibraryProgress({ name, done, total: chunks.length }));
+        await saveDocument({ name, size: file.size, chunks, embeddings });
+      } catch (error) {
+        console.warn('Could not add document:', error);
+        problems.push(error.message.startsWith(file.name) ? error.message : `${file.name}: ${error.message}`);
+      }
+      refreshDocuments();
+    }
+    setLibraryProgress(null);
+    if (problems.length > 0) {
+      window.alert(problems.join("\n"));
+    }
+  }
+
+  async function onDeleteDocument(id) {
+    try {
+      await deleteDocument(id);
+    } catch (error) {
+      console.warn('Could not delete document:', error);
+    }
+    refreshDocuments();
+  }
+
+  function onToggleDocuments(enabled) {
+    setUseDocuments(enabled);
+    setStoredUseDocuments(enabled);
+  }
+
+  // Files picked, dropped or pasted: images for vision models, everything
+  // else is read as text
+  async function addAttachments(files) {
+    const added = [];
+    const addedImages = [];
+    const problems = [];
+    for (const file of files) {
+      try {
+        if (isImageFile(file)) {
+          if (!acceptsImages) {
+            throw new Error(`${file.name || 'The image'} was not added: ${selectedModelData?.name ?? 'the selected model'} does not accept images. Choose a model that does, such as SmolVLM.`);
+          }
+          addedImages.push(await readImage(file));
+        } else {
+          added.push(await readAttachment(file));
+        }
+      } catch (error) {
+        console.warn('Could not attach file:', error);
+        problems.push(error.message);
+      }
+    }
+    setAttachments((prev) => [...prev, ...added]);
+    setImages((prev) => [...prev, ...addedImages]);
+    if (problems.length > 0) {
+      window.alert(problems.join("\n"));
+    }
+  }
+
+  function onRemoveAttachment(id) {
+    setAttachments((prev) => prev.filter((attachment) => attachment.id !== id));
+  }
+
+  function onRemoveImage(id) {
+    setImages((prev) => prev.filter((image) => image.id !== id));
+  }
+
+  function refreshConversations() {
+    listConversations()
+      .then(setConversations)
+      .catch((error) => console.warn('Could not list conversations:', error));
+  }
+
+  function toggleSidebar() {
+    setIsSidebarOpen((prev) => {
+      setStoredSidebarOpen(!prev);
+      return !prev;
+    });
+  }
+
+  function startNewChat() {
+    worker.current.postMessage({ type: "reset" });
+    setTree(createTree());
+    setConversationId(null);
+    setGenerationOverrides({});
+    setContextStart(0);
+    setContextSummary(null);
+    setGenerationRequest(null); // Clear queued message
+    setTps(null);
+    setNumTokens(null);
+    setContextTokens(null);
+    setCacheInfo(null);
+  }
+
+  async function openConversation(id) {
+    if (isRunning || id === conversationId) return;
+
+    let conversation;
+    try {
+      conversation = await getConversation(id);
+    } catch (error) {
+      console.warn('Could not open conversation:', error);
+      return;
+    }
+    if (!conversation) {
+      refreshConversations();
+      return;
+    }
+    showConversation(conversation);
+  }
+
+  function showConversation(conversation) {
+    const conversationPersonaId = conversation.personaId ?? null;
+    const conversationOverrides = conversation.generationOverrides ?? {};
+    worker.current.postMessage({ type: "reset" });
+    persistedRef.current = {
+      tree: conversation.tree,
+      personaId: conversationPersonaId,
+      generationOverrides: conversationOverrides,
+    };
+    setTree(conversation.tree);
+    setConversationId(conversation.id);
+    setPersonaId(conversationPersonaId);
+    setGenerationOverrides(conversationOverrides);
+    setContextStart(conversation.contextStart ?? 0);
+    setContextSummary(conversation.contextSummary ?? null);
+    setGenerationRequest(null);
+    setTps(null);
+    setNumTokens(null);
+    setContextTokens(null);
+    setCacheInfo(null);
+
+    // Switch back to the model the conversation was held with, if we still offer it and it runs here
+    if (canRunModel(conversation.model)) {
+      handleModelChange(conversation.model);
+    }
+  }
+
+  async function onRenameConversation(id, title) {
+    try {
+      await renameConversation(id, title);
+    } catch (error) {
+      console.warn('Could not rename conversation:', error);
+    }
+    refreshConversations();
+  }
+
+  async function onDeleteConversation(id) {
+    try {
+      await deleteConversation(id);
+    } catch (error) {
+      console.warn('Could not delete conversation:', error);
+    }
+    if (id === conversationId) {
+      startNewChat();
+    }
+    refreshConversations();
+  }
+
+  async function onExport(format) {
+    const conversation = {
+      title: conversations.find((c) => c.id === conversationId)?.title ?? deriveTitle(messages),
+      model: selectedModel,
+      messages,
+    };
+
+    try {
+      switch (format) {
+        case "markdown":
+          downloadFile(getExportFilename(conversation.title, "md"), toMarkdown(conversation), "text/markdown");
+          break;
+        case "json":
+          downloadFile(getExportFilename(conversation.title, "json"), toJSON(conversation), "application/json");
+          break;
+        case "html":
+          downloadFile(getExportFilename(conversation.title, "html"), await toHTML(conversation), "text/html");
+          break;
+      }
+    } catch (error) {
+      console.error('Export failed:', error);
+      window.alert(`Export failed: ${error.message}`);
+    }
+  }
+
+  async function onImport(file) {
+    if (isRunning) return;
+
+    try {
+      const { title, model, messages } = parseConversationJSON(await file.text());
+      // Imports always become a new saved conversation
+      const conversation = await saveConversation(crypto.randomUUID(), {
+        tree: createTree(messages),
+        model: model ?? selectedModel,
+        title: title ?? undefined,
+      });
+      showConversation(conversation);
+      refreshConversations();
+    } catch (error) {
+      console.error('Import failed:', error);
+      window.alert(`Import failed: ${error.message}`);
+    }
+  }
+
+  function refreshModelCache() {
+    getCachedFiles()
+      .then(setCachedFiles)
+      .catch((error) => console.warn('Could not read the model cache:', error));
+  }
+
+  function onDownloadModel(modelId) {
+    const model = findModel(modelId, allModels);
+    setDownload({ model_id: modelId, fileIndex: 0, fileCount: 1, progress: null });
+    worker.current.postMessage({
+      type: "download",
+      model_id: modelId,
+      model_config: model,
+      device: getModelDevice(model, webGPUStatus),
+    });
+  }
+
+  async function onDeleteCachedModel(repo) {
+    try {
+      await deleteCachedRepo(repo);
+    } catch (error) {
+      console.warn('Could not delete cached model:', error);
+    }
+    refreshModelCache();
+  }
+
+  function onSavePersonas(updatedPersonas) {
+    setPersonas(updatedPersonas);
+    setStoredPersonas(updatedPersonas);
+  }
+
   function onInterrupt() {
     // NOTE: We do not set isRunning to false here because the worker
     // will send a 'complete' message when it is done.
     worker.current.postMessage({ type: "interrupt" });
   }
 
-  function onEditMessage(messageIndex, newContent) {
-    // Update the message content
-    const updatedMessages = [...messages];
-    updatedMessages[messageIndex] = { ...updatedMessages[messageIndex], content: newContent };
-    
-    // Remove all messages after the edited message
-    const messagesUpToEdit = updatedMessages.slice(0, messageIndex + 1);
-    
-    // Set the updated messages
-    setMessages(messagesUpToEdit);
+  // The selected branch changed from message `messageIndex` on
+  function onBranchChanged(messageIndex) {
+    // The cached keys/values no longer match the conversation
+    worker.current.postMessage({ type: "reset" });
+
+    // A summary that covers the changed message is out of date
+    if (contextSummary && messageIndex < contextSummary.upTo) {
+      setContextSummary(null);
+    }
+    setContextStart((prev) => Math.min(prev, messageIndex));
     
     // Clear any states related to generation
     setTps(null);
     setNumTokens(null);
-    
-    // If the model is ready, start generation with the new message
-    if (status === "ready") {
-      setIsRunning(true);
+  }
+
+  async function onEditMessage(messageIndex, newContent) {
+    // The edited message becomes a new branch next to the original one. Its
+    // document excerpts are looked up again for the new text.
+    const { parentId, role, attachments: messageAttachments, images: messageImages } = messages[messageIndex];
+    const edited = await withSources({
+      role,
+      content: newContent,
+      ...(messageAttachments && { attachments: messageAttachments }),
+      ...(messageImages && { images: messageImages }),
+    });
+    setTree((prev) => addMessage(prev, parentId, edited));
+    onBranchChanged(messageIndex);
+    requestGeneration();
+  }
+
+  function onRegenerate(messageIndex) {
+    // The new answer is added next to the existing ones and selected once
+    // generation starts. Until then, e.g. if loading the model fails, the
+    // current answer stays selected.
+    onBranchChanged(messageIndex);
+    requestGeneration(false, messages[messageIndex].parentId);
+  }
+
+  // Let the model keep writing the last answer after it was cut off by
+  // max_new_tokens or interrupted
+  function onContinue() {
+    requestGeneration(true);
+  }
+
+  // Add a hand-written answer to a user message, e.g. to show the model
+  // examples of what it should reply. It becomes a branch next to any
+  // generated answers and is not followed by a new generation.
+  function onAddReply(messageIndex, content) {
+    setTree((prev) => addMessage(prev, messages[messageIndex].id, { role: "assistant", content }));
+    onBranchChanged(messageIndex + 1);
+  }
+
+  // Answer `prompt` with both `modelIds` for the compare mode. The worker
+  // swaps the chat's model out for them, so it is loaded again when the chat
+  // continues (see requestGeneration).
+  function onCompare(prompt, modelIds) {
+    if (isRunning || status === "loading" || isComparing(comparison)) return;
+
+    setComparison(createComparison(prompt, modelIds));
+    setStatus(null);
+    setTps(null);
+    setNumTokens(null);
+    worker.current.postMessage({
+      type: "compare",
+      data: {
+        messages: [{ role: "user", content: prompt }],
+        runs: modelIds.map((modelId) => {
+          const model = findModel(modelId);
+          return {
+            model_id: modelId,
+            device: getModelDevice(model, webGPUStatus),
+            generation_config: resolveGenerationConfig(model, {}),
+          };
+        }),
+      },
+    });
+  }
+
+  function onCompareVote(winner) {
+    addVote(comparison.prompt, comparison.runs.map(({ modelId }) => modelId), winner);
+    setComparison((prev) => ({ ...prev, vote: winner }));
+  }
+
+  // Benchmark `modelIds` one after the other and save the report. Like the
+  // compare mode, this swaps the chat's model out.
+  async function onRunBenchmark(modelIds, redownload) {
+    if (isRunning || status === "loading" || benchmarkRun) return;
+
+    const models = modelIds.map((modelId) => findModel(modelId));
+    const updateRun = (index, changes) =>
+      setBenchmarkRun((prev) => ({
+        runs: prev.runs.map((run, i) => (i === index ? { ...run, ...changes } : run)),
+      }));
+    setBenchmarkRun({
+      runs: modelIds.map((modelId) => ({ modelId, status: "waiting", step: null, error: null })),
+    });
+    setStatus(null);
+
+    const system = await getSystemInfo(webGPUStatus);
+    if (redownload) {
+      for (const model of models) {
+        await deleteCachedRepo(model.url).catch((error) => console.warn('Could not delete cached model:', error));
+      }
+    }
+
+    const runs = models.map((model) => ({ model_id: model.url, device: getModelDevice(model, webGPUStatus) }));
+    const results = await new Promise((resolve) => {
+      benchmarkRequestRef.current = { results: [], updateRun, resolve };
+      worker.current.postMessage({ type: "benchmark", data: { runs } });
+    });
+    benchmarkRequestRef.current = null;
+
+    const named = results
+      .map((result, index) => result && { modelId: runs[index].model_id, modelName: models[index].name, device: runs[index].device, ...result })
+      .filter(Boolean);
+    if (named.length > 0) {
+      const reports = [...getStoredBenchmarks(), createBenchmarkReport(system, named)];
+      setStoredBenchmarks(reports);
+      setBenchmarkReports(reports);
+    }
+    setBenchmarkRun(null);
+    refreshModelCache();
+  }
+
+  function onDeleteBenchmarkReport(id) {
+    const reports = getStoredBenchmarks().filter((report) => report.id !== id);
+    setStoredBenchmarks(reports);
+    setBenchmarkReports(reports);
+  }
+
+  function onExportBenchmarkReport(report, format) {
+    if (format === "json") {
+      downloadFile(getBenchmarkFilename(report, "json"), toBenchmarkJSON(report), "application/json");
+    } else {
+      downloadFile(getBenchmarkFilename(report, "csv"), toBenchmarkCSV(report), "text/csv");
+    }
+  }
+
+  // Send the failed run of a code block in answer `messageIndex` back to the
+  // model, which answers with a fix. If the answer was followed by more
+  // messages, this starts a new branch.
+  function onSendCodeError(messageIndex, text) {
+    if (isRunning || (status === "loading" && generationRequest) || isRetrieving) {
+      return;
+    }
+    setTree((prev) => addMessage(prev, messages[messageIndex].id, { role: "user", content: text }));
+    onBranchChanged(messageIndex + 1);
+    requestGeneration();
+  }
+
+  // Delete message `messageIndex` of the selected branch, and nothing is
+  // generated. Whatever followed it moves up. A user message deleted
+  // `withAnswers` takes all its answers and the turns after them along, so
+  // that no answer is left without its question.
+  function onDeleteMessage(messageIndex, withAnswers = false) {
+    const { id, children } = messages[messageIndex];
+    if (withAnswers && children.length > 1 && !window.confirm(`Delete this message and its ${children.length} answers?`)) {
+      return;
+    }
+    setTree((prev) => (withAnswers ? removeTurn(prev, id) : removeMessage(prev, id)));
+    onBranchChanged(messageIndex);
+  }
+
+  // Start a new chat with the messages up to and including `messageIndex`
+  async function onForkConversation(messageIndex) {
+    if (isRunning) return;
+
+    try {
+      const conversation = await saveConversation(crypto.randomUUID(), {
+        tree: createTree(messages.slice(0, messageIndex + 1).map(toMessage)),
+        model: selectedModel,
+        personaId,
+        generationOverrides,
+      });
+      showConversation(conversation);
+      refreshConversations();
+    } catch (error) {
+      console.error('Fork failed:', error);
+      window.alert(`Could not fork the conversation: ${error.message}`);
     }
   }
 
-  function handleModelChange(modelId) {
+  // Switch to the previous (-1) or next (+1) alternative of a message
+  function onSelectBranch(messageIndex, offset) {
+    const { parentId, branchIndex } = messages[messageIndex];
+    setTree((prev) => selectChild(prev, parentId, prev[parentId].children[branchIndex + offset]));
+    onBranchChanged(messageIndex);
+  }
+
+  // Whether the model can run in this browser, on WebGPU or the CPU
+  const canRunModel = useCallback((modelId, models = allModels) => {
+    const model = findModel(modelId, models);
+    return Boolean(model && getModelDevice(model, webGPUStatus));
+  }, [allModels, webGPUStatus]);
+
+  // Custom models are unknown to the worker, so their entry is sent along.
+  // The device is picked here as only the main thread knows about WebGPU.
+  const loadModel = useCallback((modelId, models = allModels) => {
+    const model = findModel(modelId, models);
+    setError(null);
+    worker.current.postMessage({
+      type: "load",
+      model_id: modelId,
+      model_config: model ?? null,
+      device: model ? getModelDevice(model, webGPUStatus) : null,
+    });
+  }, [allModels, webGPUStatus]);
+
+  function handleModelChange(modelId, models = allModels) {
     if (modelId === selectedModel) return;
     if (isRunning || status === "loading") return; // Prevent model switching during text generation or loading
     
@@ -198,14 +1078,11 @@ function App() {
     setStoredModel(modelId); // Save to localStorage
     setStatus("loading");
     // Don't clear messages - keep chat history, but clear queued message since we're switching models
-    setQueuedMessage(null); // Clear any queued message when switching models
+    setGenerationRequest(null); // Clear any queued message when switching models
     setProgressItems([]);
     
     // Start loading new model
-    worker.current.postMessage({ 
-      type: "load",
-      model_id: modelId
-    });
+    loadModel(modelId, models);
   }
 
   function handleInitialModelSelect(modelId) {
@@ -214,16 +1091,69 @@ function App() {
     setStatus("loading");
     setProgressItems([]);
     
-    worker.current.postMessage({ 
-      type: "load",
-      model_id: modelId
-    });
+    loadModel(modelId);
+  }
+
+  async function onAddCustomModel(model, files) {
+    if (files) {
+      await saveLocalModelFiles(model.url, files);
+    }
+    const updatedModels = [...customModels, model];
+    setCustomModels(updatedModels);
+    setStoredCustomModels(updatedModels);
+    handleModelChange(model.url, [...AVAILABLE_MODELS, ...updatedModels]);
+  }
+
+  function onRemoveCustomModel(url) {
+    const updatedModels = customModels.filter((model) => model.url !== url);
+    setCustomModels(updatedModels);
+    setStoredCustomModels(updatedModels);
+    if (isLocalModel(url)) {
+      deleteLocalModelFiles(url).catch((error) => console.warn('Could not delete model files:', error));
+    }
   }
 
   useEffect(() => {
     resizeInput();
   }, [input]);
 
+  useEffect(() => {
+    refreshConversations();
+    refreshModelCache();
+    refreshDocuments();
+    registerServiceWorker((apply) => setApplyUpdate(() => apply));
+  }, []);
+
+  // Save the conversation whenever it changes, except while a response is
+  // still streaming in (it is saved once generation completes).
+  useEffect(() => {
+    // A saved chat can become empty by deleting its messages
+    if (messages.length === 0 && !conversationId) return;
+    if (
+      tree === persistedRef.current?.tree &&
+      personaId === persistedRef.current?.personaId &&
+      generationOverrides === persistedRef.current?.generationOverrides
+    ) return;
+    if (isRunning && messages.at(-1)?.role === "assistant") return;
+
+    const id = conversationId ?? crypto.randomUUID();
+    persistedRef.current = { tree, personaId, generationOverrides };
+    if (!conversationId) {
+      setConversationId(id);
+    }
+
+    saveConversation(id, {
+      tree,
+      model: selectedModel,
+      personaId,
+      generationOverrides,
+      contextStart,
+      contextSummary,
+    })
+      .then(refreshConversations)
+      .catch((error) => console.warn('Could not save conversation:', error));
+  }, [tree, messages, isRunning, conversationId, selectedModel, personaId, generationOverrides, contextStart, contextSummary]);
+
   function resizeInput() {
     if (!textareaRef.current) return;
 
@@ -240,7 +1170,6 @@ function App() {
       worker.current = new Worker(new URL("./worker.js", import.meta.url), {
         type: "module",
       });
-      worker.current.postMessage({ type: "check" }); // Do a feature check
     }
 
     // Create a callback function for messages from the worker thread.
@@ -278,21 +1207,33 @@ function App() {
         case "ready":
           // Pipeline ready: the worker is ready to accept messages.
           setStatus("ready");
-          // If we have a queued message, start generation
-          if (queuedMessage) {
-            setQueuedMessage(null);
-            setIsRunning(true);
-          }
+          refreshModelCache(); // The model's files are cached now
+          break;
+
+        case "summarizing":
+          // Older turns are being condensed before the answer starts
+          setIsSummarizing(true);
           break;
 
         case "start":
           {
             // Start generation
             setIsRunning(true);
-            setMessages((prev) => [
-              ...prev,
-              { role: "assistant", content: "" },
-            ]);
+            setIsSummarizing(false);
+            setContextStart(e.data.context.start);
+            setContextSummary(e.data.context.summary);
+            if (e.data.continuation) {
+              // Keep writing the last answer instead of starting a new one
+              setTree((prev) => updateMessage(prev, getLeafId(prev), { finishReason: null }));
+            } else {
+              // Record the model and parameters used so the answer can be reproduced
+              setTree((prev) => addMessage(prev, answerParentRef.current ?? getLeafId(prev), {
+                role: "assistant",
+                content: "",
+                model: e.data.model_id,
+                generationConfig: e.data.generation_config,
+              }));
+            }
           }
           break;
 
@@ -300,18 +1241,18 @@ function App() {
           {
             // Generation update: update the output text.
             // Parse messages
-            const { output, tps, numTokens, contextTokens } = e.data;
+            const { output, tps, numTokens, contextTokens, cache, thinking } = e.data;
             setTps(tps);
             setNumTokens(numTokens);
             setContextTokens(contextTokens);
-            setMessages((prev) => {
-              const cloned = [...prev];
-              const last = cloned.at(-1);
-              cloned[cloned.length - 1] = {
-                ...last,
+            setCacheInfo(cache);
+            setTree((prev) => {
+              const last = prev[getLeafId(prev)];
+              return updateMessage(prev, last.id, {
                 content: last.content + output,
-              };
-              return cloned;
+                // Time and tokens spent on each <think> block, see ThinkBlock
+                ...(thinking.length > 0 && { thinkingStats: thinking }),
+              });
             });
           }
           break;
@@ -319,12 +1260,140 @@ function App() {
         case "complete":
           // Generation complete: re-enable the "Generate" button
           setIsRunning(false);
+          // Whether the answer is finished or can be continued, and how it was generated
+          setTree((prev) => {
+            const last = prev[getLeafId(prev)];
+            const previous = e.data.continuation ? last.stats : null;
+            const stats = previous
+              ? {
+                  ...e.data.stats,
+                  // A continued answer adds to what was generated before
+                  ttftMs: previous.ttftMs,
+                  durationMs: previous.durationMs + e.data.stats.durationMs,
+                  numTokens: previous.numTokens + e.data.stats.numTokens,
+                }
+              : e.data.stats;
+            return updateMessage(prev, last.id, { finishReason: e.data.finish_reason, stats });
+          });
+          if (e.data.stop_sequence) {
+            // Like other chat APIs, leave the stop sequence itself out of the answer
+            setTree((prev) => {
+              const last = prev[getLeafId(prev)];
+              const index = last.content.lastIndexOf(e.data.stop_sequence);
+              return index === -1 ? prev : updateMessage(prev, last.id, { content: last.content.slice(0, index) });
+            });
+          }
           break;
 
         case "error":
           setError(e.data.data);
           setStatus(null);
           setIsRunning(false);
+          setIsSummarizing(false);
+          setGenerationRequest(null);
+          break;
+
+        case "compare_loading":
+          setComparison((prev) => updateComparisonRun(prev, e.data.index, { status: "loading" }));
+          break;
+
+        case "compare_progress":
+          setComparison((prev) =>
+            updateComparisonRun(prev, e.data.index, { progress: { file: e.data.file, progress: e.data.progress } }),
+          );
+          break;
+
+        case "compare_start":
+          setComparison((prev) => updateComparisonRun(prev, e.data.index, { status: "generating", progress: null }));
+          break;
+
+        case "compare_update":
+          setComparison((prev) =>
+            updateComparisonRun(prev, e.data.index, (run) => ({
+              content: run.content + e.data.output,
+              tps: e.data.tps ?? null,
+              numTokens: e.data.numTokens,
+            })),
+          );
+          break;
+
+        case "compare_complete":
+          setComparison((prev) =>
+            updateComparisonRun(prev, e.data.index, (run) => {
+              // Leave the stop sequence out, like in the chat
+              const index = e.data.stop_sequence ? run.content.lastIndexOf(e.data.stop_sequence) : -1;
+              return {
+                status: "done",
+                finishReason: e.data.finish_reason,
+                ...(index !== -1 && { content: run.content.slice(0, index) }),
+              };
+            }),
+          );
+          break;
+
+        case "compare_error":
+          setComparison((prev) => updateComparisonRun(prev, e.data.index, { status: "error", error: e.data.data }));
+          break;
+
+        case "benchmark_progress":
+          benchmarkRequestRef.current?.updateRun(e.data.index, { status: "running", step: e.data.step });
+          break;
+
+        case "benchmark_result":
+          if (benchmarkRequestRef.current) {
+            benchmarkRequestRef.current.results[e.data.index] = e.data.result;
+            benchmarkRequestRef.current.updateRun(e.data.index, { status: "done" });
+          }
+          break;
+
+        case "benchmark_error":
+          if (benchmarkRequestRef.current) {
+            benchmarkRequestRef.current.results[e.data.index] = { error: e.data.data };
+            benchmarkRequestRef.current.updateRun(e.data.index, { status: "error", error: e.data.data });
+          }
+          break;
+
+        case "benchmark_complete":
+          benchmarkRequestRef.current?.resolve(benchmarkRequestRef.current.results);
+          break;
+
+        case "embed_progress":
+          embedRequestsRef.current.get(e.data.id)?.onProgress?.(e.data.done);
+          break;
+
+        case "embed_complete":
+          embedRequestsRef.current.get(e.data.id)?.resolve(e.data.embeddings);
+          embedRequestsRef.current.delete(e.data.id);
+          break;
+
+        case "embed_error":
+          embedRequestsRef.current.get(e.data.id)?.reject(new Error(e.data.data));
+          embedRequestsRef.current.delete(e.data.id);
+          break;
+
+        case "token_count":
+          // Exact token counts of attachments from the model's tokenizer
+          setAttachments((prev) =>
+            prev.map((attachment) => {
+              const count = e.data.counts.find(({ id }) => id === attachment.id);
+              return count ? { ...attachment, tokens: count.tokens, estimated: false } : attachment;
+            }),
+          );
+          break;
+
+        case "download_progress":
+          setDownload(e.data);
+          break;
+
+        case "download_complete":
+          setDownload(null);
+          refreshModelCache();
+          break;
+
+        case "download_error":
+          setDownload(null);
+          refreshModelCache();
+          window.alert(`Download failed: ${e.data.data}`);
           break;
 
         case "unsupported_model":
@@ -342,6 +1411,7 @@ function App() {
           setError(null);
           setStatus(null);
           setIsRunning(false);
+          setGenerationRequest(null);
           setProgressItems([]);
           
           // Show model selection modal to let user choose a new model
@@ -367,43 +1437,89 @@ function App() {
 
   // Initialize model selection on app start
   useEffect(() => {
-    if (!hasInitialized && worker.current) {
+    if (!hasInitialized && worker.current && webGPUStatus) {
       const storedModel = getStoredModel();
       
-      if (storedModel) {
+      if (storedModel && canRunModel(storedModel)) {
         // User has selected a model before, automatically load it
         setSelectedModel(storedModel);
         setStatus("loading");
-        worker.current.postMessage({ 
-          type: "load", 
-          model_id: storedModel 
-        });
+        loadModel(storedModel);
       } else {
-        // First-time user, show model selection modal
+        // First-time user (or the stored model needs WebGPU), show model selection modal
         setShowModelSelectionModal(true);
       }
       
       setHasInitialized(true);
     }
-  }, [hasInitialized]);
+  }, [hasInitialized, webGPUStatus, canRunModel, loadModel]);
 
-  // Send the messages to the worker thread whenever the `messages` state changes.
+  // Send a requested generation to the worker once the model is ready.
+  // Answers are only generated on request (see requestGeneration), not
+  // whenever the selected branch happens to end with a user message.
   useEffect(() => {
-    if (messages.filter((x) => x.role === "user").length === 0) {
-      // No user messages yet: do nothing.
-      return;
-    }
-    if (messages.at(-1).role === "assistant") {
-      // Do not update if the last message is from the assistant
-      return;
-    }
-    setTps(null);
+    if (!generationRequest || status !== "ready") return;
+    // A new chat gets its id when it is first saved. Wait for it so that the
+    // chat search tool can leave this chat out.
+    if (useTools && supportsTools && !conversationId) return;
+
+    setGenerationRequest(null);
+    setIsRunning(true);
+    const { continuation, parentId } = generationRequest;
+    answerParentRef.current = parentId;
+    const history = parentId ? messages.slice(0, messages.findIndex(({ id }) => id === parentId) + 1) : messages;
     worker.current.postMessage({ 
       type: "generate", 
-      data: messages, 
-      model_id: selectedModel 
+      data: history.map((message, i) => ({
+        role: message.role,
+        // Earlier answers go without their reasoning, only an answer that
+        // is being continued keeps it
+        content: message.role === "assistant" && !(continuation && i === history.length - 1)
+          ? removeThinkBlocks(message.content)
+          : toPromptContent(message),
+        ...(message.images && { images: message.images.map(({ dataUrl }) => dataUrl) }),
+      })),
+      model_id: selectedModel,
+      system_prompt: systemPrompt,
+      generation_config: generationConfig,
+      context_size: contextSize,
+      summary: contextSummary,
+      continuation,
+      tools: useTools && supportsTools,
+      conversation_id: conversationId, // Left out when searching saved chats
+      thinking_stats: continuation ? history.at(-1).thinkingStats ?? null : null,
+    });
+  }, [generationRequest, status, messages, selectedModel, systemPrompt, generationConfig, contextSize, contextSummary, useTools, supportsTools, conversationId]);
+
+  // Count attachment tokens exactly once a model (and its tokenizer) is loaded
+  useEffect(() => {
+    const estimated = attachments.filter((attachment) => attachment.estimated);
+    if (status !== "ready" || estimated.length === 0) return;
+    worker.current.postMessage({
+      type: "count_tokens",
+      data: estimated.map(({ id, content }) => ({ id, content })),
     });
-  }, [messages, isRunning, selectedModel]);
+  }, [status, attachments]);
+
+  // Auto-read: speak the answer as it is generated, one finished sentence
+  // at a time. The last sentence may still grow until generation ends.
+  const lastMessage = messages.at(-1);
+  useEffect(() => {
+    if (!autoReadAloud || lastMessage?.role !== "assistant") return;
+    const sentences = splitSentences(getSpeakableText(lastMessage.content));
+    if (isRunning) {
+      readAloudPlayer.follow(lastMessage.id, sentences.slice(0, -1), false);
+    } else if (readAloudPlayer.isReading(lastMessage.id)) {
+      readAloudPlayer.follow(lastMessage.id, sentences, true);
+    }
+  }, [autoReadAloud, isRunning, lastMessage?.id, lastMessage?.role, lastMessage?.content, readAloudPlayer]);
+
+  // Stop reading a message that is no longer shown, e.g. in another chat
+  useEffect(() => {
+    if (readAloud && !messages.some((message) => message.id === readAloud.key)) {
+      readAloudPlayer.stop();
+    }
+  }, [messages, readAloud, readAloudPlayer]);
 
   useEffect(() => {
     if (!chatContainerRef.current || !isRunning) return;
@@ -456,30 +1572,208 @@ function App() {
     return null;
   }
 
-  return webGPUStatus?.isSupported ? (
-    <div className="flex flex-col h-screen mx-auto items justify-end text-gray-800 dark:text-gray-200 bg-white dark:bg-gray-900">
-      {/* New Chat button and Model selector - top left */}
+  return (
+    <div
+      className="flex flex-col h-screen mx-auto items justify-end text-gray-800 dark:text-gray-200 bg-white dark:bg-gray-900"
+      onDragEnter={(e) => {
+        if (!isFileDrag(e)) return;
+        dragDepthRef.current++;
+        setIsDraggingFiles(true);
+      }}
+      onDragLeave={(e) => {
+        if (!isFileDrag(e)) return;
+        dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+        setIsDraggingFiles(dragDepthRef.current > 0);
+      }}
+      onDragOver={(e) => {
+        if (isFileDrag(e)) e.preventDefault(); // Allow dropping
+      }}
+      onDrop={(e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        dragDepthRef.current = 0;
+        setIsDraggingFiles(false);
+        addAttachments([...e.dataTransfer.files]);
+      }}
+    >
+      {isDraggingFiles && (
+        <div className="fixed inset-0 z-50 pointer-events-none flex items-center justify-center bg-blue-500/10 border-4 border-dashed border-blue-400">
+          <p className="px-4 py-2 rounded-lg bg-white dark:bg-gray-800 shadow-lg">
+            Drop text, code, Markdown, CSV or PDF files{acceptsImages ? ' or images' : ''} to attach them
+          </p>
+        </div>
+      )}
+
+      <ConversationSidebar
+        isOpen={isSidebarOpen}
+        onClose={toggleSidebar}
+        conversations={conversations}
+        currentConversationId={conversationId}
+        onSelect={openConversation}
+        onRename={onRenameConversation}
+        onDelete={onDeleteConversation}
+        disabled={isRunning || status === "loading"}
+      />
+
+      {applyUpdate && (
+        <div className="fixed top-4 left-1/2 -translate-x-1/2 z-40 flex items-center gap-3 px-4 py-2 text-sm bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg shadow-lg">
+          <span>A new version is available.</span>
+          <button
+            className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            disabled={isRunning}
+            onClick={applyUpdate}
+            title={isRunning ? "Wait for the answer to finish" : undefined}
+          >
+            Reload
+          </button>
+          <button
+            className="text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+            onClick={() => setApplyUpdate(null)}
+          >
+            Later
+          </button>
+        </div>
+      )}
+
+      {/* Sidebar toggle, New Chat button and Model selector - top left */}
       <div className="absolute top-4 left-4 z-10 flex flex-col gap-2">
-        <button
-          className="px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg border border-gray-200 dark:border-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-gray-50 disabled:dark:hover:bg-gray-700"
-          disabled={isRunning}
-          onClick={() => {
-            worker.current.postMessage({ type: "reset" });
-            setMessages([]);
-            setQueuedMessage(null); // Clear queued message
-          }}
-        >
-          New Chat
-        </button>
+        <div className="flex gap-2">
+          <button
+            className="flex items-center justify-center w-10 px-2 py-2 text-gray-700 dark:text-gray-300 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg border border-gray-200 dark:border-gray-600 transition-colors"
+            onClick={toggleSidebar}
+            title="Show chat history"
+          >
+            <SidebarIcon className="w-5 h-5" />
+          </button>
+          <button
+            className="flex-1 px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg border border-gray-200 dark:border-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-gray-50 disabled:dark:hover:bg-gray-700"
+            disabled={isRunning}
+            onClick={startNewChat}
+          >
+            New Chat
+          </button>
+        </div>
         <ModelSelector 
+          models={allModels}
+          gpu={webGPUStatus}
+          cachedModels={cachedModels}
           selectedModel={selectedModel}
           onModelChange={handleModelChange}
+          onAddModel={onAddCustomModel}
+          onRemoveModel={onRemoveCustomModel}
           disabled={isRunning || status === "loading"} // Disable during generation or loading
         />
+        {selectedDevice === "wasm" && (
+          <div
+            className="px-3 py-1.5 text-xs font-medium text-amber-800 dark:text-amber-200 bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-700 rounded-md"
+            title={webGPUStatus.error ?? "This model is set up to run on the CPU"}
+          >
+            Slow mode: running on the CPU without WebGPU
+          </div>
+        )}
+        <PersonaSelector
+          personas={personas}
+          selectedPersonaId={personaId}
+          onPersonaChange={setPersonaId}
+          onManage={() => setShowPersonaManager(true)}
+          disabled={isRunning}
+        />
       </div>
       
-      {/* GitHub link - top right */}
-      <div className="absolute top-4 right-4 z-10">
+      {/* Settings, storage, export menu and GitHub link - top right */}
+      <div className="absolute top-4 right-4 z-10 flex gap-2">
+        <button
+          className="flex items-center justify-center w-10 h-10 text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg border border-gray-200 dark:border-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={() => setShowGenerationSettings(true)}
+          disabled={isRunning}
+          title="Generation settings"
+        >
+          <SettingsIcon className="w-5 h-5" />
+        </button>
+        <button
+          className={`flex items-center justify-center w-10 h-10 hover:text-gray-900 dark:hover:text-gray-100 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg border border-gray-200 dark:border-gray-600 transition-colors ${
+            autoReadAloud ? "text-blue-600 dark:text-blue-400" : "text-gray-700 dark:text-gray-300"
+          }`}
+          onClick={onToggleAutoReadAloud}
+          title={autoReadAloud ? "Stop reading answers aloud automatically" : "Read answers aloud automatically"}
+          aria-pressed={autoReadAloud}
+        >
+          <SpeakerIcon className="w-5 h-5" />
+        </button>
+        <button
+          className={`flex items-center justify-center w-10 h-10 hover:text-gray-900 dark:hover:text-gray-100 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg border border-gray-200 dark:border-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+            useTools && supportsTools ? "text-blue-600 dark:text-blue-400" : "text-gray-700 dark:text-gray-300"
+          }`}
+          onClick={onToggleTools}
+          disabled={!supportsTools}
+          title={
+            !supportsTools
+              ? `${selectedModelData?.name ?? "The selected model"} cannot use tools`
+              : useTools
+                ? "Tools enabled: calculator, date and time, unit conversion and chat search"
+                : "Let the model use tools: calculator, date and time, unit conversion and chat search"
+          }
+          aria-pressed={useTools && supportsTools}
+        >
+          <WrenchIcon className="w-5 h-5" />
+        </button>
+        <button
+          className={`flex items-center justify-center w-10 h-10 hover:text-gray-900 dark:hover:text-gray-100 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg border border-gray-200 dark:border-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+            thinkingEnabled ? "text-blue-600 dark:text-blue-400" : "text-gray-700 dark:text-gray-300"
+          }`}
+          onClick={onToggleThinking}
+          disabled={isRunning || !canSwitchThinking(selectedModelData)}
+          title={
+            !selectedModelData?.features.thinking
+              ? `${selectedModelData?.name ?? "The selected model"} is not a reasoning model`
+              : !canSwitchThinking(selectedModelData)
+                ? `${selectedModelData.name} always thinks before answering`
+                : thinkingEnabled
+                  ? "Thinking enabled: the model reasons before answering"
+                  : "Let the model think before answering"
+          }
+          aria-pressed={thinkingEnabled}
+        >
+          <LightbulbIcon className="w-5 h-5" />
+        </button>
+        <button
+          className={`flex items-center justify-center w-10 h-10 hover:text-gray-900 dark:hover:text-gray-100 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg border border-gray-200 dark:border-gray-600 transition-colors ${
+            useDocuments && documents.length > 0 ? "text-blue-600 dark:text-blue-400" : "text-gray-700 dark:text-gray-300"
+          }`}
+          onClick={() => setShowLibrary(true)}
+          title={useDocuments && documents.length > 0 ? "Document library (used for answers)" : "Document library"}
+        >
+          <BookIcon className="w-5 h-5" />
+        </button>
+        <button
+          className="flex items-center justify-center w-10 h-10 text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg border border-gray-200 dark:border-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={() => setShowCompare(true)}
+          disabled={isRunning || status === "loading" || !webGPUStatus}
+          title="Compare two models side by side"
+        >
+          <CompareIcon className="w-5 h-5" />
+        </button>
+        <button
+          className="flex items-center justify-center w-10 h-10 text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg border border-gray-200 dark:border-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={() => setShowBenchmark(true)}
+          disabled={(isRunning || status === "loading" || !webGPUStatus) && !benchmarkRun}
+          title="Benchmark the models on this machine"
+        >
+          <ChartIcon className="w-5 h-5" />
+        </button>
+        <button
+          className="flex items-center justify-center w-10 h-10 text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg border border-gray-200 dark:border-gray-600 transition-colors"
+          onClick={() => setShowStorage(true)}
+          title="Storage and downloaded models"
+        >
+          <StorageIcon className="w-5 h-5" />
+        </button>
+        <ExportMenu
+          onExport={onExport}
+          onImport={onImport}
+          canExport={messages.length > 0}
+          disabled={isRunning}
+        />
         <a
           href="https://github.com/letmaik/privatgespraech"
           target="_blank"
@@ -491,9 +1785,78 @@ function App() {
         </a>
       </div>
       
+      {showGenerationSettings && (
+        <GenerationSettingsModal
+          model={selectedModelData}
+          overrides={generationOverrides}
+          onSave={setGenerationOverrides}
+          onClose={() => setShowGenerationSettings(false)}
+        />
+      )}
+
+      {showStorage && (
+        <StorageModal
+          models={allModels}
+          gpu={webGPUStatus}
+          cachedFiles={cachedFiles}
+          download={download}
+          onDownload={onDownloadModel}
+          onDelete={onDeleteCachedModel}
+          onClose={() => setShowStorage(false)}
+        />
+      )}
+
+      {showLibrary && (
+        <DocumentLibraryModal
+          documents={documents}
+          useDocuments={useDocuments}
+          progress={libraryProgress}
+          onToggle={onToggleDocuments}
+          onAdd={onAddDocuments}
+          onDelete={onDeleteDocument}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
+      {showCompare && (
+        <CompareModal
+          models={AVAILABLE_MODELS.filter((model) => getModelDevice(model, webGPUStatus))}
+          defaultModelId={selectedModel}
+          comparison={comparison}
+          onCompare={onCompare}
+          onStop={onInterrupt}
+          onVote={onCompareVote}
+          onClose={() => setShowCompare(false)}
+        />
+      )}
+
+      {showBenchmark && (
+        <BenchmarkModal
+          models={AVAILABLE_MODELS.filter((model) => getModelDevice(model, webGPUStatus))}
+          cachedModels={cachedModels}
+          reports={benchmarkReports}
+          run={benchmarkRun}
+          onRun={onRunBenchmark}
+          onStop={onInterrupt}
+          onDeleteReport={onDeleteBenchmarkReport}
+          onExport={onExportBenchmarkReport}
+          onClose={() => setShowBenchmark(false)}
+        />
+      )}
+
+      {showPersonaManager && (
+        <PersonaManagerModal
+          personas={personas}
+          onSave={onSavePersonas}
+          onClose={() => setShowPersonaManager(false)}
+        />
+      )}
+
       {/* Model Selection Modal for first-time users */}
       {showModelSelectionModal && (
         <ModelSelectionModal 
+          models={allModels}
+          gpu={webGPUStatus}
           onModelSelect={handleInitialModelSelect}
           onClose={() => setShowModelSelectionModal(false)}
         />
@@ -509,8 +1872,34 @@ function App() {
             isRunning={isRunning} 
             loading={status === "loading"}
             selectedModel={selectedModel}
+            models={allModels}
             onEditMessage={onEditMessage}
+            onRegenerate={onRegenerate}
+            onContinue={onContinue}
+            onAddReply={onAddReply}
+            onDeleteMessage={onDeleteMessage}
+            onFork={onForkConversation}
+            onSelectBranch={onSelectBranch}
+            readAloud={readAloud}
+            onReadAloud={onReadAloud}
+            onPauseReadAloud={() => readAloudPlayer.pause()}
+            onResumeReadAloud={() => readAloudPlayer.resume()}
+            onStopReadAloud={() => readAloudPlayer.stop(true)}
+            contextStart={contextStart}
+            contextSummary={contextSummary}
+            onSendCodeError={onSendCodeError}
           />
+          {isSummarizing && (
+            <p className="text-center text-sm text-gray-500 dark:text-gray-300 animate-pulse">
+              Summarizing earlier messages to fit the context window…
+            </p>
+          )}
+          {/* Why the last answer or model load ended early, until the next one starts */}
+          {error && (
+            <p role="alert" className="text-center text-sm text-red-600 dark:text-red-400 whitespace-pre-wrap">
+              {error}
+            </p>
+          )}
           {messages.length === 0 && (status === "ready" || status === null) && (
             <div>
               {EXAMPLES.map((msg, i) => (
@@ -550,10 +1939,23 @@ function App() {
                   <>
                     <span className="mx-2">•</span>
                     <span className="text-gray-500 dark:text-gray-300">
-                      Context: {contextTokens.toLocaleString()}/{getContextWindowSize(selectedModel).toLocaleString()} tokens
+                      Context: {contextTokens.toLocaleString()}/{contextSize.toLocaleString()} tokens
                     </span>
                     <span className="text-gray-400 dark:text-gray-500 text-xs ml-1">
-                      ({((contextTokens / getContextWindowSize(selectedModel)) * 100).toFixed(1)}%)
+                      ({((contextTokens / contextSize) * 100).toFixed(1)}%)
+                    </span>
+                  </>
+                )}
+                {cacheInfo && (
+                  <>
+                    <span className="mx-2">•</span>
+                    <span
+                      className="text-gray-500 dark:text-gray-300"
+                      title="Whether the key/value cache of the previous turn could be reused for this prompt"
+                    >
+                      {cacheInfo.hit
+                        ? `Cache hit: reused ${cacheInfo.reusedTokens.toLocaleString()}/${cacheInfo.promptTokens.toLocaleString()} prompt tokens`
+                        : "Cache miss"}
                     </span>
                   </>
                 )}
@@ -569,83 +1971,152 @@ function App() {
         progressItems={progressItems}
         isVisible={status === "loading"}
       />
+      <InlineProgress
+        loadingMessage="Loading the speech model..."
+        progressItems={speechProgressItems}
+        isVisible={speechModelStatus === "loading" || speechProgressItems.length > 0}
+      />
 
-      <div className="mt-2 border dark:bg-gray-700 rounded-lg w-[800px] max-w-[80%] max-h-[200px] mx-auto relative mb-3 flex">
-        <textarea
-          ref={textareaRef}
-          className="scrollbar-thin w-full dark:bg-gray-700 px-3 py-4 rounded-lg bg-transparent border-none outline-none text-gray-800 disabled:text-gray-400 dark:text-gray-200 placeholder-gray-500 dark:placeholder-gray-400 disabled:placeholder-gray-200 resize-none disabled:cursor-not-allowed"
-          placeholder={
-            status === "loading" && queuedMessage 
-              ? "Message queued, loading model..." 
-              : status === "loading" 
-                ? "Type your message (will be queued)..." 
-                : "Type your message..."
-          }
-          type="text"
-          rows={1}
-          value={input}
-          disabled={isRunning || (status === "loading" && queuedMessage)} // Disable when running or when a message is already queued
-          title={status === "ready" ? "Model is ready" : status === "loading" ? "Loading model..." : "Send a message to load the model"}
-          autoComplete="off"
-          autoCorrect="off"
-          autoCapitalize="off"
-          spellCheck="false"
-          data-form-type="other"
-          onKeyDown={(e) => {
-            if (
-              input.length > 0 &&
-              !isRunning && // Prevent during generation
-              !(status === "loading" && queuedMessage) && // Prevent when message already queued
-              e.key === "Enter" &&
-              !e.shiftKey
-            ) {
-              e.preventDefault(); // Prevent default behavior of Enter key
-              onEnter(input);
-            }
-          }}
-          onInput={(e) => setInput(e.target.value)}
-        />
-        {isRunning ? (
-          <div className="cursor-pointer" onClick={onInterrupt}>
-            <StopIcon className="h-8 w-8 p-1 rounded-md text-gray-800 dark:text-gray-100 absolute right-3 bottom-3" />
-          </div>
-        ) : input.length > 0 && !(status === "loading" && queuedMessage) ? (
-          <div className="cursor-pointer" onClick={() => onEnter(input)}>
-            <SendIcon
-              className={`h-8 w-8 p-1 bg-gray-800 dark:bg-gray-100 text-white dark:text-black rounded-md absolute right-3 bottom-3`}
-            />
+      <div className="mt-2 border dark:bg-gray-700 rounded-lg w-[800px] max-w-[80%] mx-auto mb-3">
+        {attachments.length > 0 && (
+          <div className="px-3 pt-3">
+            <AttachmentChips attachments={attachments} onRemove={onRemoveAttachment} overflow={attachmentsOverflow} />
+            {attachmentsOverflow && (
+              <p className="mt-2 text-xs text-red-600 dark:text-red-400">
+                This message needs about {promptTokens.toLocaleString()} tokens, but only {promptBudget.toLocaleString()} fit into the context window next to the answer. Remove attachments to send it.
+              </p>
+            )}
           </div>
-        ) : (
-          <div>
-            <SendIcon
-              className={`h-8 w-8 p-1 bg-gray-200 dark:bg-gray-600 text-gray-50 dark:text-gray-800 rounded-md absolute right-3 bottom-3`}
-            />
+        )}
+        {images.length > 0 && (
+          <div className="px-3 pt-3">
+            <ImageThumbnails images={images} onRemove={onRemoveImage} />
+            {imagesUnsupported && (
+              <p className="mt-2 text-xs text-red-600 dark:text-red-400">
+                {selectedModelData?.name ?? 'The selected model'} does not accept images. Remove them or choose a model that does to send this message.
+              </p>
+            )}
           </div>
         )}
+        <div className="max-h-[200px] relative flex">
+          <button
+            className="self-end mb-3 ml-2 p-1.5 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100 rounded-md hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors"
+            onClick={() => fileInputRef.current.click()}
+            title="Attach text, code, Markdown, CSV or PDF files"
+          >
+            <PaperclipIcon className="h-5 w-5" />
+          </button>
+          {isSpeechInputSupported() && (
+            <button
+              className={`self-end mb-3 p-1.5 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                speechInput === "recording"
+                  ? "text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/30 animate-pulse"
+                  : "text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-600"
+              }`}
+              onClick={onToggleRecording}
+              disabled={speechInput === "transcribing"}
+              title={speechInput === "recording" ? "Stop recording and transcribe" : "Dictate a message"}
+            >
+              <MicrophoneIcon className="h-5 w-5" />
+            </button>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept={ATTACHMENT_ACCEPT}
+            className="hidden"
+            onChange={(e) => {
+              addAttachments([...e.target.files]);
+              e.target.value = ""; // Allow picking the same file again
+            }}
+          />
+          <button
+            className="self-end mb-3 p-1.5 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100 rounded-md hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent"
+            onClick={() => imageInputRef.current.click()}
+            disabled={!acceptsImages}
+            title={acceptsImages ? "Add images (or paste or drop them)" : `${selectedModelData?.name ?? "The selected model"} does not accept images`}
+          >
+            <ImageIcon className="h-5 w-5" />
+          </button>
+          <input
+            ref={imageInputRef}
+            type="file"
+            multiple
+            accept={IMAGE_ACCEPT}
+            className="hidden"
+            onChange={(e) => {
+              addAttachments([...e.target.files]);
+              e.target.value = "";
+            }}
+          />
+          <textarea
+            ref={textareaRef}
+            className="scrollbar-thin w-full dark:bg-gray-700 px-3 py-4 rounded-lg bg-transparent border-none outline-none text-gray-800 disabled:text-gray-400 dark:text-gray-200 placeholder-gray-500 dark:placeholder-gray-400 disabled:placeholder-gray-200 resize-none disabled:cursor-not-allowed"
+            placeholder={
+              speechInput === "recording"
+                ? "Listening... click the microphone again to stop"
+                : speechInput === "transcribing"
+                ? "Transcribing..."
+                : isRetrieving
+                ? "Searching your documents..."
+                : status === "loading" && generationRequest 
+                ? "Message queued, loading model..." 
+                : status === "loading" 
+                  ? "Type your message (will be queued)..." 
+                  : "Type your message..."
+            }
+            type="text"
+            rows={1}
+            value={input}
+            readOnly={speechInput === "transcribing"} // The transcript is still being written
+            disabled={isRunning || (status === "loading" && generationRequest)} // Disable when running or when a message is already queued
+            title={status === "ready" ? "Model is ready" : status === "loading" ? "Loading model..." : "Send a message to load the model"}
+            autoComplete="off"
+            autoCorrect="off"
+            autoCapitalize="off"
+            spellCheck="false"
+            data-form-type="other"
+            onKeyDown={(e) => {
+              if (canSend && e.key === "Enter" && !e.shiftKey) {
+                e.preventDefault(); // Prevent default behavior of Enter key
+                onEnter(input);
+              }
+            }}
+            onInput={(e) => setInput(e.target.value)}
+            onPaste={(e) => {
+              // Pasted images and files are attached, text is pasted as usual
+              const files = [...e.clipboardData.files];
+              if (files.length > 0) {
+                e.preventDefault();
+                addAttachments(files);
+              }
+            }}
+          />
+          {isRunning ? (
+            <div className="cursor-pointer" onClick={onInterrupt}>
+              <StopIcon className="h-8 w-8 p-1 rounded-md text-gray-800 dark:text-gray-100 absolute right-3 bottom-3" />
+            </div>
+          ) : canSend ? (
+            <div className="cursor-pointer" onClick={() => onEnter(input)}>
+              <SendIcon
+                className={`h-8 w-8 p-1 bg-gray-800 dark:bg-gray-100 text-white dark:text-black rounded-md absolute right-3 bottom-3`}
+              />
+            </div>
+          ) : (
+            <div>
+              <SendIcon
+                className={`h-8 w-8 p-1 bg-gray-200 dark:bg-gray-600 text-gray-50 dark:text-gray-800 rounded-md absolute right-3 bottom-3`}
+              />
+            </div>
+          )}
+        </div>
       </div>
 
       <p className="text-xs text-gray-400 text-center mb-3">
         Generated content may be inaccurate or false.
       </p>
     </div>
-  ) : (
-    <div className="fixed w-screen h-screen bg-black z-10 bg-opacity-[92%] text-white text-2xl font-semibold flex justify-center items-center text-center px-8">
-      <div className="max-w-2xl">
-        <div className="mb-4">
-          WebGPU Not Compatible
-        </div>
-        {webGPUStatus?.error && (
-          <div className="text-lg font-normal text-gray-300 mb-4">
-            {webGPUStatus.error}
-          </div>
-        )}
-        <div className="text-base font-normal text-gray-400">
-          This application requires WebGPU support for AI model processing.
-          <br />
-          Please use a modern browser like Chrome, Firefox, or Edge.
-        </div>
-      </div>
-    </div>
   );
 }
 
@@ -0,0 +1,168 @@
+// Runs code blocks of answers, see utils/codeRunner.js. The worker is started
+// inside a sandboxed iframe: it has an opaque origin, so it cannot reach the
+// app's storage, caches or cookies, and the iframe's CSP blocks every request.
+// Its messages are relayed between the iframe and the app. JavaScript gets a new
+// sandbox for every run, Python runs in Pyodide, which stays loaded between
+// runs.
+
+// More output than this is cut, a print in an endless loop would flood the app
+const MAX_OUTPUT_LENGTH = 20000;
+
+// Pyodide is loaded from this made-up URL, its files are served from memory
+// (see loadPyodideFrom)
+const PYODIDE_URL = "https://pyodide.invalid/";
+
+const post = self.postMessage.bind(self);
+let outputLength = 0;
+
+function output(stream, text) {
+  const room = MAX_OUTPUT_LENGTH - outputLength;
+  if (room <= 0) return;
+  outputLength += text.length;
+  if (text.length > room) {
+    text = `${text.slice(0, room)}\n… (output cut)\n`;
+  }
+  post({ status: "output", stream, text });
+}
+
+// Like the browser console: strings as they are, everything else readable
+function formatValue(value, quoteStrings = false) {
+  if (typeof value === "string") {
+    return quoteStrings ? JSON.stringify(value) : value;
+  }
+  if (value instanceof Error) {
+    return `${value.name}: ${value.message}`;
+  }
+  if (typeof value === "function") {
+    return `[Function ${value.name || "(anonymous)"}]`;
+  }
+  if (value instanceof Map || value instanceof Set) {
+    return `${value.constructor.name} ${formatValue([...value], true)}`;
+  }
+  if (value !== null && typeof value === "object") {
+    try {
+      return JSON.stringify(value, (_, item) => (typeof item === "bigint" ? `${item}n` : item));
+    } catch {
+      return String(value);
+    }
+  }
+  return typeof value === "bigint" ? `${value}n` : String(value);
+}
+
+function captureConsole() {
+  const print = (stream) => (...args) => output(stream, `${args.map((arg) => formatValue(arg)).join(" ")}\n`);
+  console.log = console.info = console.debug = print("stdout");
+  console.warn = console.error = print("stderr");
+}
+
+// Resolves with the value of the last expression, like the browser console.
+// Code with top-level await runs as an async function, which gives the
+// value of a `return` statement instead.
+async function runJavaScript(code) {
+  captureConsole();
+  post({ status: "started" });
+
+  let result;
+  try {
+    result = (0, eval)(code);
+  } catch (error) {
+    if (!(error instanceof SyntaxError && error.message.includes("await"))) {
+      throw error;
+    }
+    const AsyncFunction = (async () => {}).constructor;
+    result = new AsyncFunction(code)();
+  }
+  result = await result;
+  return result === undefined ? null : formatValue(result, true);
+}
+
+let pyodide = null;
+
+// The sandbox cannot fetch anything, so the app sends Pyodide's files along
+// with the first Python run
+async function loadPyodideFrom(files) {
+  const importFile = (name) =>
+    import(/* @vite-ignore */ URL.createObjectURL(new Blob([files[name]], { type: "text/javascript" })));
+  const { loadPyodide } = await importFile("pyodide.mjs");
+  const { default: createPyodideModule } = await importFile("pyodide.asm.mjs");
+
+  // Pyodide still fetches the WebAssembly module and the standard library
+  self.fetch = async (url) => {
+    const name = String(url).split("/").pop();
+    if (!files[name]) {
+      throw new TypeError(`Failed to fetch ${url}`);
+    }
+    const type = name.endsWith(".wasm") ? "application/wasm" : "application/octet-stream";
+    return new Response(files[name], { headers: { "Content-Type": type } });
+  };
+  return loadPyodide({
+    indexURL: PYODIDE_URL,
+    lockFileContents: new TextDecoder().decode(files["pyodide-lock.json"]),
+    createPyodideModule,
+  });
+}
+
+// Only the frames of the code itself, not those of Pyodide running it
+function cleanTraceback(message) {
+  const lines = message.trimEnd().split("\n");
+  const first = lines.findIndex((line) => line.includes('File "<exec>"'));
+  return first === -1 ? message.trimEnd() : ["Traceback (most recent call last):", ...lines.slice(first)].join("\n");
+}
+
+// Resolves with the repr() of the last expression, or null for None
+async function runPython(code, files) {
+  if (!pyodide) {
+    post({ status: "loading" });
+    pyodide = await loadPyodideFrom(files);
+    pyodide.setStdin({ error: true });
+  }
+  pyodide.setStdout({ batched: (text) => output("stdout", `${text}\n`) });
+  pyodide.setStderr({ batched: (text) => output("stderr", `${text}\n`) });
+  post({ status: "started" });
+
+  // Every run starts with fresh globals
+  const globals = pyodide.toPy({});
+  try {
+    const result = await pyodide.runPythonAsync(code, { globals });
+    if (result === undefined) {
+      return null;
+    }
+    const repr = pyodide.runPython("repr");
+    try {
+      return repr(result);
+    } finally {
+      repr.destroy();
+      result.destroy?.();
+    }
+  } catch (error) {
+    throw new Error(cleanTraceback(error.message));
+  } finally {
+    globals.destroy();
+  }
+}
+
+// Errors of code that goes on after its run, e.g. in a timer
+self.addEventListener("error", (e) => {
+  e.preventDefault();
+  output("stderr", `${e.message}\n`);
+});
+self.addEventListener("unhandledrejection", (e) => {
+  e.preventDefault();
+  output("stderr", `Uncaught (in promise) ${formatValue(e.reason, true)}\n`);
+});
+
+self.addEventListener("message", async (e) => {
+  const { language, code, files } = e.data;
+  outputLength = 0;
+  try {
+    const result = language === "python" ? await runPython(code, files) : await runJavaScript(code);
+    post({ status: "done", result, error: null });
+  } catch (error) {
+    let message = `Uncaught ${formatValue(error, true)}`;
+    if (error instanceof Error) {
+      // Python errors carry their traceback in the message
+      message = language === "python" ? error.message : `${error.name}: ${error.message}`;
+    }
+    post({ status: "done", result: null, error: message });
+  }
+});
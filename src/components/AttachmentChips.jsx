@@ -0,0 +1,40 @@
+import PaperclipIcon from './icons/PaperclipIcon';
+
+// Attached files, in the composer (removable, with token counts) or on a sent message
+export default function AttachmentChips({ attachments, onRemove, overflow = false }) {
+  return (
+    <div className="flex flex-wrap gap-2">
+      {attachments.map((attachment, i) => (
+        <span
+          key={attachment.id ?? `${attachment.name}-${i}`}
+          className={`inline-flex items-center gap-1 max-w-xs px-2 py-1 text-xs rounded-md border ${
+            overflow
+              ? 'border-red-300 dark:border-red-700 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+              : 'border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-800 text-gray-700 dark:text-gray-300'
+          }`}
+          title={attachment.name}
+        >
+          <PaperclipIcon className="h-3 w-3 shrink-0" />
+          <span className="truncate">{attachment.name}</span>
+          {attachment.tokens !== undefined && (
+            <span
+              className="shrink-0 text-gray-500 dark:text-gray-400"
+              title={attachment.estimated ? 'Estimated, counted exactly once the model is loaded' : undefined}
+            >
+              {attachment.estimated ? '~' : ''}{attachment.tokens.toLocaleString()} tokens
+            </span>
+          )}
+          {onRemove && (
+            <button
+              onClick={() => onRemove(attachment.id)}
+              className="shrink-0 ml-1 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+              title="Remove attachment"
+            >
+              ×
+            </button>
+          )}
+        </span>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,286 @@
+import { useState } from 'react';
+
+import TrashIcon from './icons/TrashIcon';
+import { formatBytes } from '../utils/formatBytes';
+
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return '–';
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function formatTps(tps) {
+  return tps === null || tps === undefined ? '–' : tps.toFixed(1);
+}
+
+function formatStep(run) {
+  switch (run.status) {
+    case 'waiting':
+      return 'Waiting';
+    case 'done':
+      return 'Done';
+    case 'error':
+      return `Failed: ${run.error}`;
+  }
+  switch (run.step?.name) {
+    case 'download': {
+      const { fileIndex, fileCount, progress } = run.step;
+      return fileCount ? `Downloading file ${fileIndex + 1} of ${fileCount} (${progress ?? 0}%)` : 'Checking the cache';
+    }
+    case 'load':
+      return 'Loading from the cache';
+    case 'warmup':
+      return 'Compiling shaders and warming up';
+    case 'generate':
+      return `Generating after a ${run.step.promptLength}-token prompt`;
+    default:
+      return 'Starting';
+  }
+}
+
+// Horizontal bars, scaled to the largest value
+function BarChart({ title, bars, format }) {
+  const max = Math.max(0, ...bars.map(({ value }) => value ?? 0));
+  if (bars.length === 0) return null;
+
+  return (
+    <div>
+      <div className="text-sm font-medium text-gray-900 dark:text-gray-100 mb-2">{title}</div>
+      <div className="space-y-1">
+        {bars.map(({ label, value }) => (
+          <div key={label} className="flex items-center gap-2 text-xs">
+            <span className="w-48 flex-shrink-0 truncate text-gray-600 dark:text-gray-400" title={label}>{label}</span>
+            <div className="flex-1 h-3 bg-gray-100 dark:bg-gray-700 rounded overflow-hidden">
+              <div className="h-full bg-blue-500" style={{ width: `${max > 0 ? ((value ?? 0) / max) * 100 : 0}%` }} />
+            </div>
+            <span className="w-16 flex-shrink-0 text-right text-gray-700 dark:text-gray-300">{format(value)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function BenchmarkReport({ report }) {
+  const { system, results } = report;
+  const measured = results.filter(({ error }) => !error);
+  const promptBars = (getValue) =>
+    measured.flatMap(({ modelName, prompts }) =>
+      prompts.map((prompt) => ({ label: `${modelName} · ${prompt.promptTokens} tokens`, value: getValue(prompt) })),
+    );
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-gray-500 dark:text-gray-400 break-words">
+        {new Date(report.createdAt).toLocaleString()} ·{' '}
+        {system.gpu
+          ? [system.gpu.vendor, system.gpu.architecture, system.gpu.description].filter(Boolean).join(' ') || 'WebGPU adapter'
+          : 'No WebGPU'}
+        {system.cpuCores && ` · ${system.cpuCores} CPU threads`}
+        {system.memoryGB && ` · at least ${system.memoryGB} GB memory`}
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs text-left text-gray-700 dark:text-gray-300">
+          <thead className="text-gray-500 dark:text-gray-400">
+            <tr className="border-b border-gray-200 dark:border-gray-600">
+              <th className="py-1 pr-3 font-medium">Model</th>
+              <th className="py-1 pr-3 font-medium">Download</th>
+              <th className="py-1 pr-3 font-medium">Load</th>
+              <th className="py-1 pr-3 font-medium">Warm-up</th>
+              <th className="py-1 pr-3 font-medium">Prompt</th>
+              <th className="py-1 pr-3 font-medium">First token</th>
+              <th className="py-1 pr-3 font-medium">Prefill tok/s</th>
+              <th className="py-1 pr-3 font-medium">Decode tok/s</th>
+              <th className="py-1 font-medium">Peak context</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map((result) =>
+              result.error ? (
+                <tr key={result.modelId} className="border-b border-gray-100 dark:border-gray-700">
+                  <td className="py-1 pr-3">{result.modelName}</td>
+                  <td colSpan={8} className="py-1 text-red-600 dark:text-red-400">{result.error}</td>
+                </tr>
+              ) : (
+                (result.prompts.length > 0 ? result.prompts : [null]).map((prompt, i) => (
+                  <tr key={`${result.modelId}-${i}`} className="border-b border-gray-100 dark:border-gray-700">
+                    <td className="py-1 pr-3">{i === 0 && `${result.modelName} (${result.device})`}</td>
+                    <td className="py-1 pr-3">
+                      {i === 0 && (result.download.bytes > 0
+                        ? `${formatMs(result.download.ms)} (${formatBytes(result.download.bytes)})`
+                        : 'Cached')}
+                    </td>
+                    <td className="py-1 pr-3">{i === 0 && formatMs(result.loadMs)}</td>
+                    <td className="py-1 pr-3">{i === 0 && formatMs(result.warmupMs)}</td>
+                    <td className="py-1 pr-3">{prompt ? prompt.promptTokens : '–'}</td>
+                    <td className="py-1 pr-3">{formatMs(prompt?.ttftMs)}</td>
+                    <td className="py-1 pr-3">{formatTps(prompt?.prefillTps)}</td>
+                    <td className="py-1 pr-3">{formatTps(prompt?.decodeTps)}</td>
+                    <td className="py-1">{i === 0 && result.peakContext}</td>
+                  </tr>
+                ))
+              ),
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <BarChart title="Decode (tokens/s)" bars={promptBars(({ decodeTps }) => decodeTps)} format={formatTps} />
+      <BarChart title="Prefill (tokens/s)" bars={promptBars(({ prefillTps }) => prefillTps)} format={formatTps} />
+      <BarChart title="Time to first token" bars={promptBars(({ ttftMs }) => ttftMs)} format={formatMs} />
+      <BarChart
+        title="Load and warm-up"
+        bars={measured.map(({ modelName, loadMs, warmupMs }) => ({ label: modelName, value: loadMs + warmupMs }))}
+        format={formatMs}
+      />
+    </div>
+  );
+}
+
+// Benchmark page: measure the built-in models on this machine and keep the
+// reports for comparing machines
+export default function BenchmarkModal({ models, cachedModels, reports, run, onRun, onStop, onDeleteReport, onExport, onClose }) {
+  const [modelIds, setModelIds] = useState(() => models.filter(({ url }) => cachedModels.has(url)).map(({ url }) => url));
+  const [redownload, setRedownload] = useState(false);
+  const [reportId, setReportId] = useState(null);
+
+  const report = reports.find(({ id }) => id === reportId) ?? reports.at(-1);
+  const getName = (modelId) => models.find(({ url }) => url === modelId)?.name ?? modelId;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-4xl mx-4 shadow-2xl max-h-[90vh] overflow-y-auto scrollbar-thin">
+        <div className="mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-2">
+            Benchmark
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Measures download, loading and warm-up, and generating 64 tokens after prompts of 128,
+            512 and 2048 tokens (as far as they fit into the context window). Models are benchmarked
+            one after the other; reports are kept in this browser and can be exported to compare machines.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 mb-3">
+          {models.map(({ url, name }) => (
+            <label
+              key={url}
+              className="flex items-center gap-2 p-2 rounded-lg bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 text-sm text-gray-700 dark:text-gray-300 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={modelIds.includes(url)}
+                disabled={Boolean(run)}
+                onChange={(e) =>
+                  setModelIds((prev) => (e.target.checked ? [...prev, url] : prev.filter((id) => id !== url)))
+                }
+                className="h-4 w-4"
+              />
+              <span className="flex-1 truncate">{name}</span>
+              {!cachedModels.has(url) && <span className="text-xs text-gray-500 dark:text-gray-400">not downloaded</span>}
+            </label>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between gap-3 mb-4">
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={redownload}
+              disabled={Boolean(run)}
+              onChange={(e) => setRedownload(e.target.checked)}
+              className="h-4 w-4"
+            />
+            Delete and download the models again to measure the download
+          </label>
+          {run ? (
+            <button
+              onClick={onStop}
+              className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-500 transition-colors"
+            >
+              Stop
+            </button>
+          ) : (
+            <button
+              onClick={() => {
+                // Show the new report once it is done
+                setReportId(null);
+                onRun(models.filter(({ url }) => modelIds.includes(url)).map(({ url }) => url), redownload);
+              }}
+              disabled={modelIds.length === 0}
+              className="px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Run benchmark
+            </button>
+          )}
+        </div>
+
+        {run && (
+          <div className="mb-4 p-3 rounded-lg bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 space-y-1 text-sm">
+            {run.runs.map((modelRun) => (
+              <div key={modelRun.modelId} className="flex justify-between gap-3">
+                <span className="text-gray-900 dark:text-gray-100 truncate">{getName(modelRun.modelId)}</span>
+                <span className={`truncate ${modelRun.status === 'error' ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}>
+                  {formatStep(modelRun)}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {report && (
+          <div className="mb-4">
+            <div className="flex items-center gap-2 mb-3">
+              <select
+                value={report.id}
+                onChange={(e) => setReportId(e.target.value)}
+                className="flex-1 px-3 py-2 text-sm bg-gray-50 dark:bg-gray-700 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-600 rounded-lg outline-none"
+              >
+                {reports.map(({ id, createdAt, results }) => (
+                  <option key={id} value={id}>
+                    {new Date(createdAt).toLocaleString()} · {results.map(({ modelName }) => modelName).join(', ')}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => onExport(report, 'json')}
+                className="px-3 py-1.5 text-sm bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+              >
+                JSON
+              </button>
+              <button
+                onClick={() => onExport(report, 'csv')}
+                className="px-3 py-1.5 text-sm bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+              >
+                CSV
+              </button>
+              <button
+                onClick={() => {
+                  if (window.confirm('Delete this benchmark report?')) {
+                    onDeleteReport(report.id);
+                  }
+                }}
+                className="p-1 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 rounded"
+                title="Delete the report"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+            <BenchmarkReport report={report} />
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            disabled={Boolean(run)}
+            className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            title={run ? 'Stop the benchmark first' : undefined}
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -4,58 +4,41 @@ import { oneDark, oneLight } from 'react-syntax-highlighter/dist/esm/styles/pris
 
 import CopyIcon from "./icons/CopyIcon";
 import PencilIcon from "./icons/PencilIcon";
+import RegenerateIcon from "./icons/RegenerateIcon";
+import TrashIcon from "./icons/TrashIcon";
+import ForkIcon from "./icons/ForkIcon";
+import SpeakerIcon from "./icons/SpeakerIcon";
+import PauseIcon from "./icons/PauseIcon";
+import PlayIcon from "./icons/PlayIcon";
+import StopIcon from "./icons/StopIcon";
 import ThinkBlock from "./ThinkBlock";
-import { AVAILABLE_MODELS } from "./ModelSelector";
+import ToolCallBlock from "./ToolCallBlock";
+import AttachmentChips from "./AttachmentChips";
+import ImageThumbnails from "./ImageThumbnails";
+import SourceModal from "./SourceModal";
+import MessageInfo from "./MessageInfo";
+import { parseThinkBlocks } from "../utils/thinkBlocks";
+import { parseToolBlocks } from "../utils/toolCalls";
+import { linkCitations } from "../utils/documents";
+import { findTextRange } from "../utils/readAloud";
+import { describeCodeError, getRunnableLanguage, runCode } from "../utils/codeRunner";
+import { findModel } from "../modelRegistry";
 
 import "./Chat.css";
-import { useEffect, useMemo, useState } from "react";
+import { Fragment, useEffect, useMemo, useState } from "react";
 
-// Utility functions for parsing think blocks
-function parseThinkBlocks(content) {
-  const parts = [];
-  let currentIndex = 0;
-  
-  // Find all think blocks
-  const thinkRegex = /<think>[\s\S]*?(<\/think>|$)/g;
-  let match;
-  
-  while ((match = thinkRegex.exec(content)) !== null) {
-    // Add content before this think block
-    if (match.index > currentIndex) {
-      const beforeContent = content.slice(currentIndex, match.index).trim();
-      if (beforeContent) {
-        parts.push({ type: 'content', content: beforeContent });
-      }
-    }
-    
-    // Add the think block
-    parts.push({ type: 'think', content: match[0] });
-    currentIndex = match.index + match[0].length;
-  }
-  
-  // Add remaining content after the last think block
-  if (currentIndex < content.length) {
-    const remainingContent = content.slice(currentIndex).trim();
-    if (remainingContent) {
-      parts.push({ type: 'content', content: remainingContent });
-    }
-  }
-  
-  // If no think blocks found, return the original content
-  if (parts.length === 0) {
-    parts.push({ type: 'content', content: content });
-  }
-  
-  return parts;
-}
+// Shown below answers that ended before the model was done
+const UNFINISHED_NOTES = {
+  length: 'The answer reached the length limit (max new tokens).',
+  interrupted: 'The answer was stopped before it was finished.',
+};
 
-function isReasoningModel(selectedModel) {
-  const modelConfig = AVAILABLE_MODELS.find(model => model.url === selectedModel);
-  return modelConfig?.hasReasoningBlocks || false;
+function isReasoningModel(selectedModel, models) {
+  return findModel(selectedModel, models)?.features.thinking || false;
 }
 
 // Component for rendering code blocks with syntax highlighting
-function CodeBlock({ children, className, inline, isDark, isGenerating = false, ...props }) {
+function CodeBlock({ children, className, inline, isDark, isGenerating = false, run, onRun, onSendError, ...props }) {
   const [copied, setCopied] = useState(false);
   
   // Only apply syntax highlighting to block code (not inline)
@@ -66,6 +49,9 @@ function CodeBlock({ children, className, inline, isDark, isGenerating = false,
   const match = /language-(\w+)/.exec(className || '');
   const language = match ? match[1] : 'text';
   const codeContent = String(children).replace(/\n$/, '');
+  const runnableLanguage = onRun ? getRunnableLanguage(language) : null;
+  const isRunningCode = run?.status === 'loading' || run?.status === 'running';
+  const failed = run?.status === 'done' && Boolean(run.error);
   
   const copyToClipboard = async () => {
     try {
@@ -78,7 +64,7 @@ function CodeBlock({ children, className, inline, isDark, isGenerating = false,
   };
   
   return (
-    <div className="relative group/codeblock w-full">
+    <div className="relative group/codeblock w-full" data-skip-speech>
       <SyntaxHighlighter
         style={isDark ? oneDark : oneLight}
         language={language}
@@ -101,107 +87,279 @@ function CodeBlock({ children, className, inline, isDark, isGenerating = false,
         {codeContent}
       </SyntaxHighlighter>
       {!isGenerating && (
-        <button
-          onClick={copyToClipboard}
-          className="absolute top-2 right-2 opacity-0 group-hover/codeblock:opacity-100 transition-opacity duration-200 flex items-center gap-1 px-2 py-1 text-xs text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-500 rounded transition-colors"
-          title="Copy code"
-        >
-          <CopyIcon className="h-3 w-3" />
-          {copied ? 'Copied!' : 'Copy'}
-        </button>
+        <div className="absolute top-2 right-2 opacity-0 group-hover/codeblock:opacity-100 transition-opacity duration-200 flex items-center gap-1">
+          {runnableLanguage && (
+            <button
+              onClick={() => onRun(runnableLanguage, codeContent)}
+              disabled={isRunningCode}
+              className="flex items-center gap-1 px-2 py-1 text-xs text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-500 rounded transition-colors disabled:opacity-50 disabled:pointer-events-none"
+              title="Run the code in a sandbox"
+            >
+              <PlayIcon className="h-3 w-3" />
+              Run
+            </button>
+          )}
+          <button
+            onClick={copyToClipboard}
+            className="flex items-center gap-1 px-2 py-1 text-xs text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-500 rounded transition-colors"
+            title="Copy code"
+          >
+            <CopyIcon className="h-3 w-3" />
+            {copied ? 'Copied!' : 'Copy'}
+          </button>
+        </div>
+      )}
+      {run && (
+        <div className="mb-2 -mt-1 rounded-md border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-800/50 text-sm">
+          <div className="flex items-center justify-between gap-2 px-3 py-1.5 border-b border-gray-200 dark:border-gray-600 text-xs text-gray-500 dark:text-gray-400">
+            <span>
+              {run.status === 'loading' ? 'Loading Python…' : run.status === 'running' ? 'Running…' : failed ? 'Failed' : 'Output'}
+            </span>
+            {failed && !isGenerating && onSendError && (
+              <button
+                onClick={() => onSendError(describeCodeError(run.language, run))}
+                className="px-2 py-0.5 rounded hover:bg-gray-200 dark:hover:bg-gray-600 hover:text-gray-800 dark:hover:text-gray-200 transition-colors"
+                title="Ask the model to fix the code"
+              >
+                Send error to the model
+              </button>
+            )}
+          </div>
+          <pre className="px-3 py-2 max-h-80 overflow-auto whitespace-pre-wrap break-words font-mono text-xs text-gray-800 dark:text-gray-200">
+            {run.stdout}
+            {run.stderr && <span className="text-red-600 dark:text-red-400">{run.stderr}</span>}
+            {run.result !== null && <span className="text-gray-500 dark:text-gray-400">{`→ ${run.result}`}</span>}
+            {run.error && <span className="text-red-600 dark:text-red-400">{run.error}</span>}
+            {run.status === 'done' && !run.stdout && !run.stderr && run.result === null && !run.error && (
+              <span className="text-gray-500 dark:text-gray-400">No output</span>
+            )}
+          </pre>
+        </div>
       )}
     </div>
   );
 }
 
 // Enhanced component to render markdown with syntax highlighting
-function MarkdownWithSyntaxHighlighting({ content, isDark, isGenerating = false, selectedModel }) {
-  // Check if this is a reasoning model
-  const hasReasoningBlocks = selectedModel && isReasoningModel(selectedModel);
-  
-  if (hasReasoningBlocks) {
-    // Parse content to separate think blocks from regular content
-    const parts = parseThinkBlocks(content);
-    
-    return (
-      <div className="markdown w-full">
-        {parts.map((part, index) => {
-          if (part.type === 'think') {
-            return (
-              <ThinkBlock
-                key={`think-${index}`}
-                content={part.content}
-                isGenerating={isGenerating}
-                isDark={isDark}
-              />
-            );
-          } else {
-            return (
-              <div key={`content-${index}`} className="w-full">
-                <ReactMarkdown
-                  components={{
-                    code: ({ node, inline, className, children, ...props }) => {
-                      // Explicitly check if this is inline code
-                      const isInlineCode = inline || !className;
-                      
-                      return (
-                        <CodeBlock
-                          inline={isInlineCode}
-                          className={className}
-                          isDark={isDark}
-                          isGenerating={isGenerating}
-                          {...props}
-                        >
-                          {children}
-                        </CodeBlock>
-                      );
-                    }
-                  }}
-                >
-                  {part.content}
-                </ReactMarkdown>
-              </div>
-            );
-          }
-        })}
-      </div>
-    );
-  }
-  
-  // Regular model without think blocks
+function MarkdownWithSyntaxHighlighting({ content, isDark, isGenerating = false, selectedModel, models, sources = [], onOpenSource, getCodeRun, onRunCode, onSendCodeError, thinkingStats = [] }) {
+  const components = {
+    code: ({ node, inline, className, children, ...props }) => {
+      // Explicitly check if this is inline code
+      const isInlineCode = inline || !className;
+      
+      return (
+        <CodeBlock
+          inline={isInlineCode}
+          className={className}
+          isDark={isDark}
+          isGenerating={isGenerating}
+          run={getCodeRun?.(String(children).replace(/\n$/, ''))}
+          onRun={onRunCode}
+          onSendError={onSendCodeError}
+          {...props}
+        >
+          {children}
+        </CodeBlock>
+      );
+    },
+    // Citations of the document library, see linkCitations()
+    a: ({ node, href, children, ...props }) => {
+      const citation = href?.match(/^#source-(\d+)$/);
+      if (citation) {
+        return (
+          <button
+            data-skip-speech
+            onClick={() => onOpenSource?.(Number(citation[1]))}
+            className="text-xs align-super text-blue-600 dark:text-blue-400 hover:underline"
+            title={sources[citation[1] - 1]?.documentName}
+          >
+            {children}
+          </button>
+        );
+      }
+      return <a href={href} {...props}>{children}</a>;
+    },
+  };
+
+  // Tool calls can be part of any answer, <think> blocks only of reasoning models
+  const hasReasoningBlocks = selectedModel && isReasoningModel(selectedModel, models);
+  const parts = parseToolBlocks(content).flatMap((part) =>
+    part.type === 'content' && hasReasoningBlocks ? parseThinkBlocks(part.content) : [part],
+  );
+  let thinkIndex = 0;
+
   return (
     <div className="markdown w-full">
-      <ReactMarkdown
-        components={{
-          code: ({ node, inline, className, children, ...props }) => {
-            // Explicitly check if this is inline code
-            const isInlineCode = inline || !className;
-            
-            return (
-              <CodeBlock
-                inline={isInlineCode}
-                className={className}
-                isDark={isDark}
-                isGenerating={isGenerating}
-                {...props}
+      {parts.map((part, index) => {
+        if (part.type === 'think') {
+          return (
+            <ThinkBlock
+              key={`think-${index}`}
+              content={part.content}
+              isGenerating={isGenerating}
+              isDark={isDark}
+              stats={thinkingStats[thinkIndex++]}
+            />
+          );
+        } else if (part.type === 'tool') {
+          return (
+            <ToolCallBlock
+              key={`tool-${index}`}
+              name={part.name}
+              arguments={part.arguments}
+              result={part.result}
+              isGenerating={isGenerating}
+            />
+          );
+        } else {
+          return (
+            <div key={`content-${index}`} className="w-full">
+              <ReactMarkdown
+                components={components}
               >
-                {children}
-              </CodeBlock>
-            );
+                {linkCitations(part.content, sources.length)}
+              </ReactMarkdown>
+            </div>
+          );
+        }
+      })}
+    </div>
+  );
+}
+
+// Divider between messages that fell out of the model's context window and the rest
+function ContextDivider({ summary }) {
+  return (
+    <div className="text-xs text-gray-500 dark:text-gray-400">
+      <div className="flex items-center gap-3">
+        <div className="flex-1 border-t border-dashed border-gray-300 dark:border-gray-600" />
+        <span>
+          {summary ? 'Messages above are summarized for the model' : 'Messages above are not sent to the model'}
+        </span>
+        <div className="flex-1 border-t border-dashed border-gray-300 dark:border-gray-600" />
+      </div>
+      {summary && (
+        <details className="mt-2">
+          <summary className="cursor-pointer text-center">Show summary</summary>
+          <p className="mt-2 px-4 py-2 rounded-lg bg-gray-50 dark:bg-gray-800 whitespace-pre-wrap">
+            {summary.content}
+          </p>
+        </details>
+      )}
+    </div>
+  );
+}
+
+// `< 2/3 >` switcher between the alternatives of a message
+function BranchSwitcher({ index, count, onSelect, disabled }) {
+  const buttonClass = "px-1.5 py-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent disabled:cursor-not-allowed";
+  return (
+    <div className="flex items-center text-xs text-gray-500 dark:text-gray-400">
+      <button
+        onClick={() => onSelect(-1)}
+        disabled={disabled || index === 0}
+        className={buttonClass}
+        title="Previous version"
+      >
+        &lt;
+      </button>
+      <span className="tabular-nums">{index + 1}/{count}</span>
+      <button
+        onClick={() => onSelect(1)}
+        disabled={disabled || index === count - 1}
+        className={buttonClass}
+        title="Next version"
+      >
+        &gt;
+      </button>
+    </div>
+  );
+}
+
+// Small text button below a message
+function MessageAction({ icon: Icon, onClick, title, children }) {
+  return (
+    <button
+      onClick={onClick}
+      className="flex items-center gap-1 px-2 py-1 text-xs text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-700 rounded transition-colors"
+      title={title}
+    >
+      <Icon className="h-3 w-3" />
+      {children}
+    </button>
+  );
+}
+
+// Inline editor for changing a message or writing an answer by hand
+function MessageEditor({ value, onChange, onSubmit, onCancel, submitLabel, placeholder }) {
+  return (
+    <div className="bg-gray-100 dark:bg-gray-600 rounded-2xl px-4 py-2 w-full">
+      <textarea
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full min-h-[60px] bg-transparent border-none outline-none text-gray-800 dark:text-gray-200 resize-none"
+        placeholder={placeholder}
+        autoFocus
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            onSubmit();
+          } else if (e.key === 'Escape') {
+            onCancel();
           }
         }}
-      >
-        {content}
-      </ReactMarkdown>
+      />
+      <div className="flex gap-2 mt-2">
+        <button
+          onClick={onCancel}
+          className="px-2 py-1 text-xs bg-gray-200 dark:bg-gray-500 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-400 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={onSubmit}
+          className="px-2 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+          disabled={!value.trim()}
+        >
+          {submitLabel}
+        </button>
+      </div>
     </div>
   );
 }
 
-export default function Chat({ messages, isRunning, loading = false, selectedModel, onEditMessage }) {
+export default function Chat({
+  messages,
+  isRunning,
+  loading = false,
+  selectedModel,
+  models,
+  onEditMessage,
+  onRegenerate,
+  onContinue,
+  onSelectBranch,
+  onAddReply,
+  onDeleteMessage,
+  onFork,
+  readAloud = null,
+  onReadAloud,
+  onPauseReadAloud,
+  onResumeReadAloud,
+  onStopReadAloud,
+  contextStart = 0,
+  contextSummary = null,
+  onSendCodeError,
+}) {
   const empty = messages.length === 0;
   const [copiedMessageIndex, setCopiedMessageIndex] = useState(null);
   const [editingMessageIndex, setEditingMessageIndex] = useState(null);
   const [editingMessageText, setEditingMessageText] = useState("");
+  const [replyingMessageIndex, setReplyingMessageIndex] = useState(null);
+  const [replyText, setReplyText] = useState("");
+  const [openSource, setOpenSource] = useState(null); // { number, source }
+  // Runs of code blocks by `${message id}:${code}`. Kept here, as code blocks
+  // are created anew whenever an answer renders.
+  const [codeRuns, setCodeRuns] = useState({});
 
   // Detect if dark theme is active
   const isDark = useMemo(() => {
@@ -212,6 +370,13 @@ export default function Chat({ messages, isRunning, loading = false, selectedMod
     return false;
   }, []);
 
+  const runCodeBlock = async (messageId, language, code) => {
+    const key = `${messageId}:${code}`;
+    const update = (run) => setCodeRuns((prev) => ({ ...prev, [key]: { ...run, language } }));
+    update({ status: 'running', stdout: '', stderr: '', result: null, error: null });
+    update(await runCode(language, code, update));
+  };
+
   // Copy to clipboard function
   const copyToClipboard = async (text, messageIndex) => {
     try {
@@ -224,6 +389,16 @@ export default function Chat({ messages, isRunning, loading = false, selectedMod
     }
   };
 
+  // Documents retrieved for the prompt that the answer at `messageIndex` replies to
+  const getSources = (messageIndex) => messages[messageIndex - 1]?.sources ?? [];
+
+  const openSourceOf = (messageIndex, number) => {
+    const source = getSources(messageIndex)[number - 1];
+    if (source) {
+      setOpenSource({ number, source });
+    }
+  };
+
   // Edit message functions
   const startEditing = (messageIndex, messageText) => {
     setEditingMessageIndex(messageIndex);
@@ -243,9 +418,39 @@ export default function Chat({ messages, isRunning, loading = false, selectedMod
     }
   };
 
+  // Hand-written answer functions
+  const startReplying = (messageIndex) => {
+    setReplyingMessageIndex(messageIndex);
+    setReplyText("");
+  };
+
+  const cancelReplying = () => {
+    setReplyingMessageIndex(null);
+    setReplyText("");
+  };
+
+  const submitReply = () => {
+    if (replyText.trim() && onAddReply) {
+      onAddReply(replyingMessageIndex, replyText.trim());
+      cancelReplying();
+    }
+  };
+
+  // Highlight the sentence being read aloud
+  useEffect(() => {
+    if (!window.CSS?.highlights) return;
+    CSS.highlights.delete("read-aloud");
+    if (!readAloud?.sentence) return;
+    const root = document.querySelector(`[data-message-id="${readAloud.key}"]`);
+    const range = root && findTextRange(root, readAloud.sentence);
+    if (range) {
+      CSS.highlights.set("read-aloud", new Highlight(range));
+    }
+  }, [readAloud, messages]);
+
   useEffect(() => {
-    // Handle MathJax
-    if (window.MathJax) {
+    // Handle MathJax, which is only a config object until its script has loaded
+    if (window.MathJax?.typeset) {
       window.MathJax.typeset();
     }
   }, [messages]);
@@ -257,16 +462,28 @@ export default function Chat({ messages, isRunning, loading = false, selectedMod
       } ${empty ? "flex flex-col items-center justify-end" : "space-y-4"}`}
     >
       {messages.map((msg, i) => (
-          <div key={`message-${i}`} className={`flex ${msg.role === "user" ? (editingMessageIndex === i ? "justify-start" : "justify-end") : "justify-start"}`}>
+        <Fragment key={msg.id}>
+          {i > 0 && i === contextStart && <ContextDivider summary={contextSummary} />}
+          <div
+            className={`flex ${msg.role === "user" ? (editingMessageIndex === i ? "justify-start" : "justify-end") : "justify-start"} ${i < contextStart ? "opacity-50" : ""}`}
+            title={i < contextStart ? "Excluded from the model's context" : undefined}
+          >
             {msg.role === "assistant" ? (
               <div className="relative group w-full max-w-none">
-                <div className="min-h-6 text-gray-800 dark:text-gray-200 overflow-wrap-anywhere w-full">
+                <div className="min-h-6 text-gray-800 dark:text-gray-200 overflow-wrap-anywhere w-full" data-message-id={msg.id}>
                   {msg.content.length > 0 ? (
                     <MarkdownWithSyntaxHighlighting
                       content={msg.content}
                       isDark={isDark}
                       isGenerating={isRunning}
                       selectedModel={selectedModel}
+                      models={models}
+                      sources={getSources(i)}
+                      onOpenSource={(number) => openSourceOf(i, number)}
+                      getCodeRun={(code) => codeRuns[`${msg.id}:${code}`]}
+                      onRunCode={(language, code) => runCodeBlock(msg.id, language, code)}
+                      onSendCodeError={onSendCodeError && ((text) => onSendCodeError(i, text))}
+                      thinkingStats={msg.thinkingStats}
                     />
                   ) : (
                     <span className="h-6 flex items-center gap-1">
@@ -276,16 +493,97 @@ export default function Chat({ messages, isRunning, loading = false, selectedMod
                     </span>
                   )}
                 </div>
+                {getSources(i).length > 0 && msg.content.length > 0 && (
+                  <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mt-2 text-xs text-gray-500 dark:text-gray-400">
+                    <span>Sources:</span>
+                    {getSources(i).map((source, index) => (
+                      <button
+                        key={index}
+                        onClick={() => openSourceOf(i, index + 1)}
+                        className="max-w-[16rem] truncate hover:text-gray-800 dark:hover:text-gray-200 hover:underline"
+                        title="Show the excerpt"
+                      >
+                        [{index + 1}] {source.documentName}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {readAloud?.key === msg.id && (
+                  <div className="flex items-center gap-1 mt-2 -ml-2" role="status">
+                    <span className="px-2 text-xs text-blue-600 dark:text-blue-400">
+                      {readAloud.paused ? 'Paused' : 'Reading aloud…'}
+                    </span>
+                    {readAloud.paused ? (
+                      <MessageAction icon={PlayIcon} onClick={onResumeReadAloud} title="Continue reading">
+                        Resume
+                      </MessageAction>
+                    ) : (
+                      <MessageAction icon={PauseIcon} onClick={onPauseReadAloud} title="Pause reading">
+                        Pause
+                      </MessageAction>
+                    )}
+                    <MessageAction icon={StopIcon} onClick={onStopReadAloud} title="Stop reading">
+                      Stop
+                    </MessageAction>
+                  </div>
+                )}
+                {UNFINISHED_NOTES[msg.finishReason] && !(isRunning && i === messages.length - 1) && (
+                  <div className="flex items-center gap-2 mt-2 text-xs text-amber-700 dark:text-amber-300">
+                    <span>{UNFINISHED_NOTES[msg.finishReason]}</span>
+                    {i === messages.length - 1 && !isRunning && onContinue && (
+                      <button
+                        onClick={onContinue}
+                        className="px-2 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+                        title="Let the model keep writing this answer"
+                      >
+                        Continue
+                      </button>
+                    )}
+                  </div>
+                )}
                 {msg.content.length > 0 && !(isRunning && i === messages.length - 1) && (
-                  <div className="flex justify-start mt-2 -ml-2">
-                    <button
-                      onClick={() => copyToClipboard(msg.content, i)}
-                      className="flex items-center gap-1 px-2 py-1 text-xs text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-500 rounded transition-colors"
-                      title="Copy to clipboard"
-                    >
-                      <CopyIcon className="h-3 w-3" />
+                  <div className="flex items-center justify-start gap-1 mt-2 -ml-2">
+                    {msg.branchCount > 1 && (
+                      <BranchSwitcher
+                        index={msg.branchIndex}
+                        count={msg.branchCount}
+                        onSelect={(offset) => onSelectBranch(i, offset)}
+                        disabled={isRunning}
+                      />
+                    )}
+                    <MessageAction icon={CopyIcon} onClick={() => copyToClipboard(msg.content, i)} title="Copy to clipboard">
                       {copiedMessageIndex === i ? 'Copied!' : 'Copy'}
-                    </button>
+                    </MessageAction>
+                    <MessageInfo message={msg} models={models} />
+                    {readAloud?.key !== msg.id && (
+                      <MessageAction icon={SpeakerIcon} onClick={() => onReadAloud(i)} title="Read this answer aloud">
+                        Read aloud
+                      </MessageAction>
+                    )}
+                    {!isRunning && (
+                      <>
+                        <MessageAction
+                          icon={RegenerateIcon}
+                          onClick={() => onRegenerate(i)}
+                          title="Generate another answer, keeping this one as a branch"
+                        >
+                          Regenerate
+                        </MessageAction>
+                        <MessageAction icon={ForkIcon} onClick={() => onFork(i)} title="Start a new chat with the messages up to here">
+                          Fork
+                        </MessageAction>
+                        {msg.children.length === 0 && (
+                          <MessageAction icon={TrashIcon} onClick={() => onDeleteMessage(i)} title="Delete this answer">
+                            Delete
+                          </MessageAction>
+                        )}
+                      </>
+                    )}
+                    {msg.model && msg.model !== selectedModel && (
+                      <span className="px-2 text-xs text-gray-400 dark:text-gray-500" title="This answer was written by another model">
+                        {findModel(msg.model, models)?.name ?? msg.model}
+                      </span>
+                    )}
                   </div>
                 )}
               </div>
@@ -293,63 +591,80 @@ export default function Chat({ messages, isRunning, loading = false, selectedMod
               <div className={`relative group ${editingMessageIndex === i ? 'w-full' : ''}`}>
                 {editingMessageIndex === i ? (
                   // Editing mode
-                  <div className="bg-gray-100 dark:bg-gray-600 rounded-2xl px-4 py-2 w-full">
-                    <textarea
-                      value={editingMessageText}
-                      onChange={(e) => setEditingMessageText(e.target.value)}
-                      className="w-full min-h-[60px] bg-transparent border-none outline-none text-gray-800 dark:text-gray-200 resize-none"
-                      autoFocus
-                      onKeyDown={(e) => {
-                        if (e.key === 'Enter' && !e.shiftKey) {
-                          e.preventDefault();
-                          submitEdit();
-                        } else if (e.key === 'Escape') {
-                          cancelEditing();
-                        }
-                      }}
-                    />
-                    <div className="flex gap-2 mt-2">
-                      <button
-                        onClick={cancelEditing}
-                        className="px-2 py-1 text-xs bg-gray-200 dark:bg-gray-500 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-400 transition-colors"
-                      >
-                        Cancel
-                      </button>
-                      <button
-                        onClick={submitEdit}
-                        className="px-2 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
-                        disabled={!editingMessageText.trim()}
-                      >
-                        Edit
-                      </button>
-                    </div>
-                  </div>
+                  <MessageEditor
+                    value={editingMessageText}
+                    onChange={setEditingMessageText}
+                    onSubmit={submitEdit}
+                    onCancel={cancelEditing}
+                    submitLabel="Edit"
+                  />
                 ) : (
                   // Normal display mode
                   <div>
-                    <div className="bg-gray-100 dark:bg-gray-600 text-gray-800 dark:text-gray-200 rounded-2xl px-4 py-2 max-w-xs sm:max-w-sm md:max-w-lg lg:max-w-xl">
-                      <div className="min-h-6 break-words">
-                        {msg.content}
+                    {msg.attachments && (
+                      <div className="flex justify-end mb-1">
+                        <AttachmentChips attachments={msg.attachments} />
+                      </div>
+                    )}
+                    {msg.images && (
+                      <div className="flex justify-end mb-1">
+                        <ImageThumbnails images={msg.images} size="h-32" />
                       </div>
-                    </div>
+                    )}
+                    {(msg.content || !(msg.attachments || msg.images)) && (
+                      <div className="bg-gray-100 dark:bg-gray-600 text-gray-800 dark:text-gray-200 rounded-2xl px-4 py-2 max-w-xs sm:max-w-sm md:max-w-lg lg:max-w-xl">
+                        <div className="min-h-6 break-words">
+                          {msg.content}
+                        </div>
+                      </div>
+                    )}
+                    {msg.branchCount > 1 && (
+                      <div className="flex justify-end mt-1">
+                        <BranchSwitcher
+                          index={msg.branchIndex}
+                          count={msg.branchCount}
+                          onSelect={(offset) => onSelectBranch(i, offset)}
+                          disabled={isRunning}
+                        />
+                      </div>
+                    )}
                     {!isRunning && (
                       <div className="flex justify-end gap-2 mt-1 opacity-0 group-hover:opacity-100 transition-opacity">
-                        <button
-                          onClick={() => copyToClipboard(msg.content, i)}
-                          className="flex items-center gap-1 px-2 py-1 text-xs text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-700 rounded transition-colors"
-                          title="Copy to clipboard"
-                        >
-                          <CopyIcon className="h-3 w-3" />
+                        <MessageAction icon={CopyIcon} onClick={() => copyToClipboard(msg.content, i)} title="Copy to clipboard">
                           {copiedMessageIndex === i ? 'Copied!' : 'Copy'}
-                        </button>
-                        <button
+                        </MessageAction>
+                        <MessageAction
+                          icon={PencilIcon}
                           onClick={() => startEditing(i, msg.content)}
-                          className="flex items-center gap-1 px-2 py-1 text-xs text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-700 rounded transition-colors"
-                          title="Edit message"
+                          title="Edit message, keeping the original as a branch"
                         >
-                          <PencilIcon className="h-3 w-3" />
                           Edit
-                        </button>
+                        </MessageAction>
+                        <MessageAction
+                          icon={PencilIcon}
+                          onClick={() => startReplying(i)}
+                          title="Write the answer yourself, e.g. as an example for the model"
+                        >
+                          Write answer
+                        </MessageAction>
+                        <MessageAction icon={ForkIcon} onClick={() => onFork(i)} title="Start a new chat with the messages up to here">
+                          Fork
+                        </MessageAction>
+                        {/* Deleting a message alone would put what follows it right after a
+                            message of the same role, so a question goes with its answers */}
+                        {msg.children.length === 0 ? (
+                          <MessageAction icon={TrashIcon} onClick={() => onDeleteMessage(i)} title="Delete this message">
+                            Delete
+                          </MessageAction>
+                        ) : (
+                          <MessageAction
+                            icon={TrashIcon}
+                            onClick={() => onDeleteMessage(i, true)}
+                            title="Delete this message with its answers, the rest of the conversation is kept"
+                          >
+                            Delete with answers
+                          </MessageAction>
+                        )}
                       </div>
                     )}
                   </div>
@@ -357,7 +672,21 @@ export default function Chat({ messages, isRunning, loading = false, selectedMod
               </div>
             )}
           </div>
+          {replyingMessageIndex === i && (
+            <MessageEditor
+              value={replyText}
+              onChange={setReplyText}
+              onSubmit={submitReply}
+              onCancel={cancelReplying}
+              submitLabel="Add answer"
+              placeholder="Write the answer the model should have given…"
+            />
+          )}
+        </Fragment>
         ))}
+      {openSource && (
+        <SourceModal number={openSource.number} source={openSource.source} onClose={() => setOpenSource(null)} />
+      )}
     </div>
   );
 }
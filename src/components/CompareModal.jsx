@@ -0,0 +1,205 @@
+import { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+
+import ThinkBlock from './ThinkBlock';
+import { parseThinkBlocks } from '../utils/thinkBlocks';
+import { getStoredVotes, isComparing, tallyVotes } from '../utils/comparisons';
+
+const SLOTS = ['A', 'B'];
+
+const FINISH_NOTES = {
+  length: 'Reached the length limit (max new tokens).',
+  interrupted: 'Stopped before it was finished.',
+};
+
+function RunStatus({ run }) {
+  if (run.status === 'waiting') {
+    return 'Waiting for the other model…';
+  }
+  if (run.status === 'loading') {
+    return run.progress ? `Loading ${run.progress.file} (${Math.round(run.progress.progress)}%)…` : 'Loading model…';
+  }
+  if (run.status === 'error') {
+    return 'Failed';
+  }
+  const stats = [
+    run.numTokens !== null && `${run.numTokens} tokens`,
+    run.tps && `${run.tps.toFixed(1)} tokens/s`,
+  ].filter(Boolean).join(' · ');
+  return stats || 'Generating…';
+}
+
+function RunAnswer({ run, model }) {
+  const parts = model?.features.thinking ? parseThinkBlocks(run.content) : [{ type: 'content', content: run.content }];
+  return (
+    <div className="markdown w-full text-gray-800 dark:text-gray-200 overflow-wrap-anywhere">
+      {parts.map((part, index) =>
+        part.type === 'think' ? (
+          <ThinkBlock key={index} content={part.content} isGenerating={run.status === 'generating'} />
+        ) : (
+          <ReactMarkdown key={index}>{part.content}</ReactMarkdown>
+        ),
+      )}
+    </div>
+  );
+}
+
+// Compare mode: one prompt answered by two models, shown side by side, and
+// a vote on which answer was better. The models run one after the other.
+export default function CompareModal({ models, defaultModelId, comparison, onCompare, onStop, onVote, onClose }) {
+  const [modelIds, setModelIds] = useState(() => {
+    const first = models.find(({ url }) => url === defaultModelId) ?? models[0];
+    const second = models.find(({ url }) => url !== first?.url);
+    return [first?.url ?? '', second?.url ?? ''];
+  });
+  const [prompt, setPrompt] = useState(comparison?.prompt ?? '');
+
+  const running = isComparing(comparison);
+  const shownModelIds = comparison ? comparison.runs.map(({ modelId }) => modelId) : modelIds;
+  const finished = comparison && !running && comparison.runs.every(({ status }) => status === 'done');
+  const tally = finished ? tallyVotes(getStoredVotes(), shownModelIds) : null;
+  const canCompare = !running && prompt.trim().length > 0 && modelIds[0] && modelIds[1] && modelIds[0] !== modelIds[1];
+  const getName = (modelId) => models.find(({ url }) => url === modelId)?.name ?? modelId;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-5xl mx-4 shadow-2xl max-h-[90vh] flex flex-col">
+        <div className="mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-2">
+            Compare Models
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            The prompt is answered by both models with their default settings, one after the other,
+            as only one model is loaded at a time. The chat&apos;s model is loaded again for its next answer.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4 mb-3">
+          {SLOTS.map((slot, i) => (
+            <div key={slot}>
+              <label htmlFor={`compare-model-${slot}`} className="block text-sm font-medium text-gray-900 dark:text-gray-100 mb-1">
+                Model {slot}
+              </label>
+              <select
+                id={`compare-model-${slot}`}
+                value={modelIds[i]}
+                disabled={running}
+                onChange={(e) => setModelIds((prev) => prev.map((id, j) => (j === i ? e.target.value : id)))}
+                className="w-full px-3 py-2 text-sm bg-gray-50 dark:bg-gray-700 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-600 rounded-lg outline-none disabled:opacity-50"
+              >
+                {models.map(({ url, name }) => (
+                  <option key={url} value={url}>{name}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex gap-2 mb-4">
+          <textarea
+            value={prompt}
+            onChange={(e) => setPrompt(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey && canCompare) {
+                e.preventDefault();
+                onCompare(prompt.trim(), modelIds);
+              }
+            }}
+            disabled={running}
+            rows={2}
+            placeholder="Prompt for both models"
+            className="flex-1 px-3 py-2 text-sm bg-gray-50 dark:bg-gray-700 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-600 rounded-lg outline-none resize-none disabled:opacity-50"
+          />
+          {running ? (
+            <button
+              onClick={onStop}
+              className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-500 transition-colors"
+            >
+              Stop
+            </button>
+          ) : (
+            <button
+              onClick={() => onCompare(prompt.trim(), modelIds)}
+              disabled={!canCompare}
+              className="px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              title={modelIds[0] === modelIds[1] ? 'Pick two different models' : undefined}
+            >
+              Compare
+            </button>
+          )}
+        </div>
+
+        {comparison && (
+          <div className="flex-1 min-h-0 grid grid-cols-2 gap-4 mb-4">
+            {comparison.runs.map((run, i) => (
+              <div
+                key={SLOTS[i]}
+                className="flex flex-col min-h-0 rounded-lg border border-gray-200 dark:border-gray-600"
+              >
+                <div className="px-3 py-2 border-b border-gray-200 dark:border-gray-600">
+                  <div className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">
+                    {SLOTS[i]}: {getName(run.modelId)}
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    <RunStatus run={run} />
+                  </div>
+                </div>
+                <div className="flex-1 overflow-y-auto scrollbar-thin p-3 text-sm">
+                  {run.error ? (
+                    <p className="text-red-600 dark:text-red-400 break-words">{run.error}</p>
+                  ) : (
+                    <RunAnswer run={run} model={models.find(({ url }) => url === run.modelId)} />
+                  )}
+                  {FINISH_NOTES[run.finishReason] && (
+                    <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">{FINISH_NOTES[run.finishReason]}</p>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex items-center justify-between gap-4">
+          <div className="flex items-center gap-2 text-sm">
+            {finished && comparison.vote === undefined && (
+              <>
+                <button
+                  onClick={() => onVote(comparison.runs[0].modelId)}
+                  className="px-3 py-1.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+                >
+                  A is better
+                </button>
+                <button
+                  onClick={() => onVote(null)}
+                  className="px-3 py-1.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+                >
+                  Tie
+                </button>
+                <button
+                  onClick={() => onVote(comparison.runs[1].modelId)}
+                  className="px-3 py-1.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+                >
+                  B is better
+                </button>
+              </>
+            )}
+            {tally && (
+              <span className="text-gray-500 dark:text-gray-400">
+                {comparison.vote !== undefined && 'Vote saved. '}
+                All votes: {getName(shownModelIds[0])} {tally[shownModelIds[0]]} · {getName(shownModelIds[1])} {tally[shownModelIds[1]]} · Tie {tally.tie}
+              </span>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            disabled={running}
+            className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            title={running ? 'Stop the comparison first' : undefined}
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
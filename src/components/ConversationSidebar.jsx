@@ -0,0 +1,130 @@
+import { useState } from 'react';
+
+import PencilIcon from './icons/PencilIcon';
+import TrashIcon from './icons/TrashIcon';
+
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+}
+
+export default function ConversationSidebar({
+  isOpen,
+  onClose,
+  conversations,
+  currentConversationId,
+  onSelect,
+  onRename,
+  onDelete,
+  disabled,
+}) {
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState('');
+
+  const startRenaming = (conversation) => {
+    setRenamingId(conversation.id);
+    setRenameText(conversation.title);
+  };
+
+  const cancelRenaming = () => {
+    setRenamingId(null);
+    setRenameText('');
+  };
+
+  const submitRename = () => {
+    if (renameText.trim()) {
+      onRename(renamingId, renameText.trim());
+    }
+    cancelRenaming();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <aside className="fixed inset-y-0 left-0 z-30 w-72 flex flex-col bg-gray-50 dark:bg-gray-800 border-r border-gray-200 dark:border-gray-700 shadow-lg">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <h2 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Chats</h2>
+        <button
+          onClick={onClose}
+          className="px-2 py-1 text-xs text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-700 rounded transition-colors"
+          title="Close sidebar"
+        >
+          Close
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto scrollbar-thin p-2 space-y-1">
+        {conversations.length === 0 && (
+          <p className="px-2 py-4 text-sm text-center text-gray-500 dark:text-gray-400">
+            No saved chats yet.
+          </p>
+        )}
+        {conversations.map((conversation) => (
+          <div
+            key={conversation.id}
+            className={`group rounded-lg px-3 py-2 transition-colors ${
+              conversation.id === currentConversationId
+                ? 'bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300'
+                : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+            }`}
+          >
+            {renamingId === conversation.id ? (
+              <input
+                value={renameText}
+                onChange={(e) => setRenameText(e.target.value)}
+                onBlur={submitRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    submitRename();
+                  } else if (e.key === 'Escape') {
+                    cancelRenaming();
+                  }
+                }}
+                className="w-full px-1 text-sm bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded outline-none"
+                autoFocus
+              />
+            ) : (
+              <div className="flex items-start gap-2">
+                <button
+                  className="flex-1 min-w-0 text-left disabled:cursor-not-allowed"
+                  onClick={() => onSelect(conversation.id)}
+                  disabled={disabled}
+                >
+                  <div className="text-sm font-medium truncate">{conversation.title}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    {formatDate(conversation.updatedAt)}
+                  </div>
+                </button>
+                <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                  <button
+                    onClick={() => startRenaming(conversation)}
+                    className="p-1 text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 rounded"
+                    title="Rename chat"
+                  >
+                    <PencilIcon className="h-3 w-3" />
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`Delete "${conversation.title}"?`)) {
+                        onDelete(conversation.id);
+                      }
+                    }}
+                    className="p-1 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 rounded disabled:cursor-not-allowed"
+                    title="Delete chat"
+                    disabled={disabled && conversation.id === currentConversationId}
+                  >
+                    <TrashIcon className="h-3 w-3" />
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </aside>
+  );
+}
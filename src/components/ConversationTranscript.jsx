@@ -0,0 +1,88 @@
+import ReactMarkdown from 'react-markdown';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { oneLight } from 'react-syntax-highlighter/dist/esm/styles/prism';
+
+import { parseThinkBlocks } from '../utils/thinkBlocks';
+import { parseToolBlocks } from '../utils/toolCalls';
+import { getToolTitle } from '../utils/tools';
+
+// Static rendering of a conversation for the standalone HTML export. Code is
+// highlighted with inline styles so the file needs no external stylesheet.
+
+const markdownComponents = {
+  code: ({ inline, className, children }) => {
+    const match = /language-(\w+)/.exec(className || '');
+    if (inline || !className) {
+      return <code className={className}>{children}</code>;
+    }
+    return (
+      <SyntaxHighlighter
+        style={oneLight}
+        language={match ? match[1] : 'text'}
+        customStyle={{ borderRadius: '0.375rem', fontSize: '0.875rem', padding: '1rem' }}
+        wrapLongLines={true}
+      >
+        {String(children).replace(/\n$/, '')}
+      </SyntaxHighlighter>
+    );
+  },
+};
+
+function AssistantContent({ content }) {
+  const parts = parseToolBlocks(content).flatMap((part) =>
+    part.type === 'content' ? parseThinkBlocks(part.content) : [part],
+  );
+  return parts.map((part, index) => {
+    if (part.type === 'tool') {
+      return (
+        <details key={`tool-${index}`} className="tool">
+          <summary>Tool: {part.name ? getToolTitle(part.name) : 'unknown'}</summary>
+          <div className="tool-content">{JSON.stringify(part.arguments ?? {}, null, 2)}</div>
+          <div className="tool-content">{part.result ?? ''}</div>
+        </details>
+      );
+    }
+    if (part.type === 'think') {
+      const thinkContent = part.content.replace(/^<think>|<\/think>$/g, '').trim();
+      if (!thinkContent) return null;
+      return (
+        <details key={`think-${index}`} className="think">
+          <summary>Reasoning</summary>
+          <div className="think-content">{thinkContent}</div>
+        </details>
+      );
+    }
+    return (
+      <ReactMarkdown key={`content-${index}`} components={markdownComponents}>
+        {part.content}
+      </ReactMarkdown>
+    );
+  });
+}
+
+export default function ConversationTranscript({ title, model, messages }) {
+  return (
+    <main>
+      <h1>{title}</h1>
+      {model && <p className="meta">Model: {model}</p>}
+      {messages.map((message, i) => (
+        <section key={`message-${i}`} className={`message ${message.role}`}>
+          <h2>{message.role === 'user' ? 'User' : 'Assistant'}</h2>
+          {message.role === 'assistant' ? (
+            <AssistantContent content={message.content} />
+          ) : (
+            <>
+              {message.attachments?.map((attachment, j) => (
+                <p key={`attachment-${j}`} className="meta">Attachment: {attachment.name}</p>
+              ))}
+              {message.images?.map((image, j) => (
+                <img key={`image-${j}`} className="image" src={image.dataUrl} alt={image.name} />
+              ))}
+              {message.content && <div className="user-content">{message.content}</div>}
+            </>
+          )}
+        </section>
+      ))}
+    </main>
+  );
+}
@@ -0,0 +1,265 @@
+import { useState } from 'react';
+
+import { DTYPES, DEVICES, validateModelEntry } from '../modelRegistry';
+import { createCustomModel } from '../utils/customModels';
+import { createLocalModelUrl, inspectModelFolder, selectModelFiles } from '../utils/localModels';
+
+const REPO_ID_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+const DEFAULT_CONTEXT_SIZE = 4096;
+
+const inputClassName = "w-full px-3 py-2 text-sm bg-gray-50 dark:bg-gray-700 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-600 rounded-lg outline-none";
+const labelClassName = "block text-sm font-medium text-gray-900 dark:text-gray-100 mb-1";
+
+export default function CustomModelModal({ onAdd, onClose }) {
+  const [source, setSource] = useState('hub'); // 'hub' or 'local'
+  const [repoId, setRepoId] = useState('');
+  const [folder, setFolder] = useState(null); // Result of inspectModelFolder
+  const [name, setName] = useState('');
+  const [dtype, setDtype] = useState('q4f16');
+  const [device, setDevice] = useState('webgpu');
+  const [contextSize, setContextSize] = useState(DEFAULT_CONTEXT_SIZE);
+  const [externalData, setExternalData] = useState(false);
+  const [thinking, setThinking] = useState(false);
+  const [thinkingSwitch, setThinkingSwitch] = useState('');
+  const [problems, setProblems] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const dtypeOptions = source === 'local' && folder ? folder.dtypes : DTYPES;
+
+  const handleRepoIdChange = (value) => {
+    setRepoId(value);
+    setName(value.split('/').at(-1) ?? '');
+    setProblems([]);
+  };
+
+  const handleFolderChange = async (fileList) => {
+    if (fileList.length === 0) return;
+
+    const inspected = await inspectModelFolder(fileList);
+    setFolder(inspected);
+    setName(inspected.folderName);
+    setProblems(inspected.problems);
+    if (inspected.dtypes.length > 0 && !inspected.dtypes.includes(dtype)) {
+      setDtype(inspected.dtypes.at(-1));
+    }
+    if (inspected.contextSize) {
+      setContextSize(inspected.contextSize);
+    }
+  };
+
+  const handleAdd = async () => {
+    let model, files = null;
+    if (source === 'hub') {
+      if (!REPO_ID_PATTERN.test(repoId.trim())) {
+        setProblems(['Enter a repo id like onnx-community/Qwen3-0.6B-ONNX']);
+        return;
+      }
+      model = createCustomModel({
+        url: repoId.trim(),
+        name: name.trim() || repoId.trim(),
+        vendor: 'Hugging Face',
+        dtype,
+        device,
+        contextSize,
+        use_external_data_format: externalData,
+        thinking,
+        thinkingSwitch: thinkingSwitch || null,
+      });
+    } else {
+      if (!folder || folder.problems.length > 0) return;
+      const selected = selectModelFiles(folder.files, dtype);
+      files = selected.files;
+      model = createCustomModel({
+        url: createLocalModelUrl(),
+        name: name.trim() || folder.folderName,
+        vendor: 'Local',
+        dtype,
+        device,
+        contextSize,
+        downloadSize: selected.downloadSize,
+        use_external_data_format: selected.use_external_data_format,
+        thinking,
+        thinkingSwitch: thinkingSwitch || null,
+      });
+    }
+
+    const modelProblems = validateModelEntry(model);
+    if (modelProblems.length > 0) {
+      setProblems(modelProblems);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await onAdd(model, files);
+      onClose();
+    } catch (error) {
+      setProblems([`Could not add the model: ${error.message}`]);
+      setIsSaving(false);
+    }
+  };
+
+  const tabClassName = (isActive) =>
+    `flex-1 px-3 py-1.5 text-sm rounded-md transition-colors ${
+      isActive
+        ? 'bg-white dark:bg-gray-600 text-gray-900 dark:text-gray-100 shadow'
+        : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100'
+    }`;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-lg mx-4 shadow-2xl max-h-[90vh] overflow-y-auto scrollbar-thin">
+        <div className="mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-2">
+            Add a Custom Model
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Any text generation model with ONNX weights that transformers.js can load, e.g. from onnx-community.
+          </p>
+        </div>
+
+        <div className="flex gap-1 p-1 mb-4 bg-gray-100 dark:bg-gray-700 rounded-lg">
+          <button className={tabClassName(source === 'hub')} onClick={() => { setSource('hub'); setProblems([]); }}>
+            Hugging Face
+          </button>
+          <button className={tabClassName(source === 'local')} onClick={() => { setSource('local'); setProblems(folder?.problems ?? []); }}>
+            Local folder
+          </button>
+        </div>
+
+        <div className="space-y-4 mb-6">
+          {source === 'hub' ? (
+            <div>
+              <label htmlFor="custom-model-repo" className={labelClassName}>Repo id</label>
+              <input
+                id="custom-model-repo"
+                value={repoId}
+                onChange={(e) => handleRepoIdChange(e.target.value)}
+                placeholder="onnx-community/Qwen3-0.6B-ONNX"
+                className={inputClassName}
+                autoFocus
+              />
+            </div>
+          ) : (
+            <div>
+              <label htmlFor="custom-model-folder" className={labelClassName}>Model folder</label>
+              <input
+                id="custom-model-folder"
+                type="file"
+                webkitdirectory=""
+                onChange={(e) => handleFolderChange(e.target.files)}
+                className="w-full text-sm text-gray-700 dark:text-gray-300"
+              />
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                A folder with config.json, the tokenizer files and the weights in an onnx/ subfolder. The files are copied into browser storage, so the model loads without network access.
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="custom-model-name" className={labelClassName}>Name</label>
+            <input
+              id="custom-model-name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+
+          <div className="flex gap-4">
+            <div className="flex-1">
+              <label htmlFor="custom-model-dtype" className={labelClassName}>Weights</label>
+              <select
+                id="custom-model-dtype"
+                value={dtype}
+                onChange={(e) => setDtype(e.target.value)}
+                className={inputClassName}
+              >
+                {dtypeOptions.map((value) => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex-1">
+              <label htmlFor="custom-model-device" className={labelClassName}>Device</label>
+              <select
+                id="custom-model-device"
+                value={device}
+                onChange={(e) => setDevice(e.target.value)}
+                className={inputClassName}
+              >
+                {DEVICES.map((value) => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="custom-model-context" className={labelClassName}>Context window (tokens)</label>
+            <input
+              id="custom-model-context"
+              type="number"
+              min={1}
+              step={1}
+              value={contextSize}
+              onChange={(e) => e.target.value !== '' && setContextSize(Math.trunc(Number(e.target.value)))}
+              className={inputClassName}
+            />
+          </div>
+
+          {source === 'hub' && (
+            <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-gray-100">
+              <input type="checkbox" checked={externalData} onChange={(e) => setExternalData(e.target.checked)} />
+              Weights are stored as external data (.onnx_data)
+            </label>
+          )}
+          <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-gray-100">
+            <input type="checkbox" checked={thinking} onChange={(e) => setThinking(e.target.checked)} />
+            Reasoning model (writes &lt;think&gt; blocks)
+          </label>
+          {thinking && (
+            <div>
+              <label htmlFor="custom-model-thinking-switch" className={labelClassName}>Turning thinking off</label>
+              <select
+                id="custom-model-thinking-switch"
+                value={thinkingSwitch}
+                onChange={(e) => setThinkingSwitch(e.target.value)}
+                className={inputClassName}
+              >
+                <option value="">Not possible, the model always thinks</option>
+                <option value="template">enable_thinking chat template variable (Qwen3)</option>
+                <option value="prompt">/think and /no_think in the prompt</option>
+              </select>
+            </div>
+          )}
+
+          {problems.length > 0 && (
+            <ul className="text-sm text-red-600 dark:text-red-400 list-disc pl-5">
+              {problems.map((problem) => (
+                <li key={problem}>{problem}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            disabled={isSaving}
+            className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-500 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleAdd}
+            disabled={isSaving || (source === 'local' && (!folder || folder.problems.length > 0))}
+            className="px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? (source === 'local' ? 'Copying files…' : 'Adding…') : 'Add and load'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
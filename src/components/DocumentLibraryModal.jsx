@@ -0,0 +1,108 @@
+import { useRef } from 'react';
+
+import TrashIcon from './icons/TrashIcon';
+import { ATTACHMENT_ACCEPT } from '../utils/attachments';
+import { formatBytes } from '../utils/formatBytes';
+
+export default function DocumentLibraryModal({ documents, useDocuments, progress, onToggle, onAdd, onDelete, onClose }) {
+  const fileInputRef = useRef(null);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-lg mx-4 shadow-2xl max-h-[90vh] overflow-y-auto scrollbar-thin">
+        <div className="mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-2">
+            Document Library
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Documents are indexed and stored in this browser. For every message, the most relevant
+            excerpts are added to the prompt and the answer can cite them. Indexing downloads a
+            small embedding model (about 23 MB) the first time.
+          </p>
+        </div>
+
+        <label className="flex items-center justify-between gap-3 mb-4 p-3 rounded-lg bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 cursor-pointer">
+          <span className="text-sm text-gray-700 dark:text-gray-300">Use documents in answers</span>
+          <input
+            type="checkbox"
+            checked={useDocuments}
+            onChange={(e) => onToggle(e.target.checked)}
+            className="h-4 w-4"
+          />
+        </label>
+
+        <div className="space-y-2 mb-4">
+          {documents.length === 0 && !progress && (
+            <p className="py-4 text-sm text-center text-gray-500 dark:text-gray-400">
+              No documents yet.
+            </p>
+          )}
+          {documents.map((document) => (
+            <div
+              key={document.id}
+              className="flex items-center gap-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600"
+            >
+              <div className="flex-1 min-w-0">
+                <div className="font-medium text-gray-900 dark:text-gray-100 truncate">{document.name}</div>
+                <div className="text-xs text-gray-500 dark:text-gray-400">
+                  {document.chunkCount} {document.chunkCount === 1 ? 'excerpt' : 'excerpts'} · {formatBytes(document.size)}
+                </div>
+              </div>
+              <button
+                onClick={() => {
+                  if (window.confirm(`Remove "${document.name}" from the library?`)) {
+                    onDelete(document.id);
+                  }
+                }}
+                className="p-1 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 rounded"
+                title="Remove from the library"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          {progress && (
+            <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600">
+              <div className="text-sm text-gray-700 dark:text-gray-300 truncate mb-1">
+                Indexing {progress.name}…
+              </div>
+              <div className="w-full h-2 bg-gray-100 dark:bg-gray-600 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-blue-500"
+                  style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                />
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-between">
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={progress !== null}
+            className="px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Add documents
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept={ATTACHMENT_ACCEPT}
+            className="hidden"
+            onChange={(e) => {
+              onAdd([...e.target.files]);
+              e.target.value = '';
+            }}
+          />
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-500 transition-colors"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { useState, useRef, useEffect } from 'react';
+
+const EXPORT_OPTIONS = [
+  { format: 'markdown', label: 'Markdown (.md)' },
+  { format: 'json', label: 'JSON (.json)' },
+  { format: 'html', label: 'Standalone HTML (.html)' },
+];
+
+export default function ExportMenu({ onExport, onImport, canExport, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const dropdownRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  return (
+    <div className="relative" ref={dropdownRef}>
+      <button
+        className="flex items-center gap-2 h-10 px-3 text-sm font-medium text-gray-700 dark:text-gray-300 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg border border-gray-200 dark:border-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        onClick={() => !disabled && setIsOpen(!isOpen)}
+        disabled={disabled}
+        title="Export or import chat"
+      >
+        <span>Export</span>
+        <svg
+          className={`w-4 h-4 transition-transform ${isOpen ? 'rotate-180' : ''}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {isOpen && !disabled && (
+        <div className="absolute top-full right-0 mt-1 w-56 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-md shadow-lg z-20 py-1">
+          {EXPORT_OPTIONS.map(({ format, label }) => (
+            <button
+              key={format}
+              className="w-full px-3 py-2 text-left text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-transparent"
+              disabled={!canExport}
+              onClick={() => {
+                onExport(format);
+                setIsOpen(false);
+              }}
+            >
+              {label}
+            </button>
+          ))}
+          <div className="my-1 border-t border-gray-200 dark:border-gray-700" />
+          <button
+            className="w-full px-3 py-2 text-left text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+            onClick={() => fileInputRef.current?.click()}
+          >
+            Import JSON…
+          </button>
+        </div>
+      )}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files[0];
+          e.target.value = ''; // Allow importing the same file again
+          if (file) {
+            onImport(file);
+            setIsOpen(false);
+          }
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+import { useState } from 'react';
+
+import { canSwitchThinking } from '../modelRegistry';
+import { CONTEXT_STRATEGIES, GENERATION_PARAMETERS, resolveGenerationConfig } from '../utils/generationConfig';
+
+// Keep only the values that differ from the model defaults, so that a later
+// change to the defaults still applies to parameters the user never touched.
+function getOverrides(config, defaults) {
+  return Object.fromEntries(
+    Object.entries(config).filter(([key, value]) =>
+      JSON.stringify(value) !== JSON.stringify(defaults[key])
+    )
+  );
+}
+
+// Typed values are only clamped once the field is left or the settings are
+// saved, clamping while typing would turn the first digit of 1024 into 16
+function clampParameter({ min, max, step }, value) {
+  const clamped = Math.min(max, Math.max(min, value));
+  return Number.isInteger(step) ? Math.trunc(clamped) : clamped;
+}
+
+export default function GenerationSettingsModal({ model, overrides, onSave, onClose }) {
+  const defaults = resolveGenerationConfig(model);
+  const [config, setConfig] = useState(() => resolveGenerationConfig(model, overrides));
+  const [stopText, setStopText] = useState(config.stop.join('\n'));
+
+  const updateValue = (key, value) => {
+    setConfig((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = () => {
+    const stop = stopText.split('\n').filter((sequence) => sequence.length > 0);
+    const parameters = GENERATION_PARAMETERS.map((parameter) => [parameter.key, clampParameter(parameter, config[parameter.key])]);
+    onSave(getOverrides({ ...config, ...Object.fromEntries(parameters), stop }, defaults));
+    onClose();
+  };
+
+  const handleReset = () => {
+    setConfig(defaults);
+    setStopText(defaults.stop.join('\n'));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-lg mx-4 shadow-2xl max-h-[90vh] overflow-y-auto scrollbar-thin">
+        <div className="mb-6">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-2">
+            Generation Settings
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            These settings apply to this chat only. Defaults come from {model?.name ?? 'the selected model'}.
+          </p>
+        </div>
+
+        <div className="space-y-4 mb-6">
+          {GENERATION_PARAMETERS.map(({ key, label, min, max, step, hint }) => (
+            <div key={key}>
+              <div className="flex items-center justify-between mb-1">
+                <label htmlFor={`generation-${key}`} className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                  {label}
+                </label>
+                <input
+                  type="number"
+                  min={min}
+                  max={max}
+                  step={step}
+                  value={config[key]}
+                  onChange={(e) => e.target.value !== '' && updateValue(key, Number(e.target.value))}
+                  onBlur={() => updateValue(key, clampParameter({ min, max, step }, config[key]))}
+                  className="w-24 px-2 py-1 text-sm text-right bg-gray-50 dark:bg-gray-700 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-600 rounded outline-none"
+                />
+              </div>
+              <input
+                id={`generation-${key}`}
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={config[key]}
+                onChange={(e) => updateValue(key, Number(e.target.value))}
+                className="w-full"
+              />
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                {hint}. Model default: {defaults[key]}
+              </div>
+            </div>
+          ))}
+
+          <div>
+            <label htmlFor="generation-stop" className="block text-sm font-medium text-gray-900 dark:text-gray-100 mb-1">
+              Stop sequences
+            </label>
+            <textarea
+              id="generation-stop"
+              value={stopText}
+              onChange={(e) => setStopText(e.target.value)}
+              rows={3}
+              placeholder="One per line"
+              className="scrollbar-thin w-full px-3 py-2 text-sm font-mono bg-gray-50 dark:bg-gray-700 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-600 rounded-lg outline-none resize-none"
+            />
+            <div className="text-xs text-gray-500 dark:text-gray-400">
+              Generation stops as soon as the answer contains one of these.
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="generation-seed" className="block text-sm font-medium text-gray-900 dark:text-gray-100 mb-1">
+              Seed
+            </label>
+            <input
+              id="generation-seed"
+              type="number"
+              min={0}
+              step={1}
+              value={config.seed ?? ''}
+              placeholder="Random"
+              onChange={(e) => updateValue('seed', e.target.value === '' ? null : Math.trunc(Number(e.target.value)))}
+              className="w-full px-3 py-2 text-sm bg-gray-50 dark:bg-gray-700 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-600 rounded-lg outline-none"
+            />
+            <div className="text-xs text-gray-500 dark:text-gray-400">
+              With a fixed seed, sampling produces the same answer for the same prompt.
+            </div>
+          </div>
+
+          {model?.features.thinking && (
+            <div>
+              <label className="flex items-center gap-2 text-sm font-medium text-gray-900 dark:text-gray-100 mb-1">
+                <input
+                  type="checkbox"
+                  checked={config.thinking || !canSwitchThinking(model)}
+                  disabled={!canSwitchThinking(model)}
+                  onChange={(e) => updateValue('thinking', e.target.checked)}
+                />
+                Think before answering
+              </label>
+              {!canSwitchThinking(model) && (
+                <div className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                  {model.name} always thinks before answering.
+                </div>
+              )}
+              <label htmlFor="generation-thinking-budget" className="block text-sm font-medium text-gray-900 dark:text-gray-100 mb-1">
+                Thinking budget (tokens)
+              </label>
+              <input
+                id="generation-thinking-budget"
+                type="number"
+                min={1}
+                step={1}
+                value={config.thinking_budget ?? ''}
+                placeholder="No limit"
+                onChange={(e) => updateValue('thinking_budget', e.target.value === '' ? null : Math.max(1, Math.trunc(Number(e.target.value))))}
+                className="w-full px-3 py-2 text-sm bg-gray-50 dark:bg-gray-700 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-600 rounded-lg outline-none"
+              />
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                Once the model has thought this long, its reasoning is closed and it has to answer.
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="generation-context-strategy" className="block text-sm font-medium text-gray-900 dark:text-gray-100 mb-1">
+              When the context window is full
+            </label>
+            <select
+              id="generation-context-strategy"
+              value={config.context_strategy}
+              onChange={(e) => updateValue('context_strategy', e.target.value)}
+              className="w-full px-3 py-2 text-sm bg-gray-50 dark:bg-gray-700 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-600 rounded-lg outline-none"
+            >
+              {CONTEXT_STRATEGIES.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <div className="text-xs text-gray-500 dark:text-gray-400">
+              {CONTEXT_STRATEGIES.find(({ value }) => value === config.context_strategy)?.hint}.
+            </div>
+          </div>
+
+          {config.context_strategy === 'last-turns' && (
+            <div>
+              <label htmlFor="generation-context-turns" className="block text-sm font-medium text-gray-900 dark:text-gray-100 mb-1">
+                Turns to keep
+              </label>
+              <input
+                id="generation-context-turns"
+                type="number"
+                min={1}
+                step={1}
+                value={config.context_turns}
+                onChange={(e) => e.target.value !== '' && updateValue('context_turns', Math.max(1, Math.trunc(Number(e.target.value))))}
+                className="w-full px-3 py-2 text-sm bg-gray-50 dark:bg-gray-700 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-600 rounded-lg outline-none"
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-between">
+          <button
+            onClick={handleReset}
+            className="px-3 py-1.5 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded transition-colors"
+          >
+            Reset to model defaults
+          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={onClose}
+              className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-500 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              className="px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+// Images for vision models, in the composer (removable) or on a sent message
+export default function ImageThumbnails({ images, onRemove, size = 'h-20' }) {
+  return (
+    <div className="flex flex-wrap gap-2">
+      {images.map((image, i) => (
+        <div key={image.id ?? `${image.name}-${i}`} className="relative group/thumbnail">
+          <img
+            src={image.dataUrl}
+            alt={image.name}
+            title={image.name}
+            className={`${size} w-auto max-w-[12rem] object-cover rounded-md border border-gray-200 dark:border-gray-600`}
+          />
+          {onRemove && (
+            <button
+              onClick={() => onRemove(image.id)}
+              className="absolute -top-2 -right-2 w-5 h-5 flex items-center justify-center text-xs rounded-full bg-gray-700 text-white hover:bg-red-600"
+              title="Remove image"
+            >
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
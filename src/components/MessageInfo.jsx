@@ -0,0 +1,118 @@
+import { useState, useRef, useEffect } from 'react';
+
+import InfoIcon from './icons/InfoIcon';
+import { canSwitchThinking, findModel } from '../modelRegistry';
+import { CONTEXT_STRATEGIES, GENERATION_PARAMETERS } from '../utils/generationConfig';
+
+const FINISH_REASONS = {
+  stop: 'Finished',
+  length: 'Reached max new tokens',
+  interrupted: 'Stopped',
+};
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+function InfoRow({ label, children }) {
+  return (
+    <>
+      <dt className="text-gray-500 dark:text-gray-400">{label}</dt>
+      <dd className="text-gray-800 dark:text-gray-200 break-words">{children}</dd>
+    </>
+  );
+}
+
+/**
+ * "Info" button below an answer with a popover showing how it was generated:
+ * the model, timing and token statistics, and the generation parameters.
+ * Answers from before these were recorded show what is known.
+ */
+export default function MessageInfo({ message, models }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const popoverRef = useRef(null);
+
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (popoverRef.current && !popoverRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const { model, stats, generationConfig: config, finishReason, thinkingStats = [] } = message;
+  const modelEntry = model ? findModel(model, models) : null;
+  const contextSize = modelEntry?.contextSize;
+  const thinkingTokens = thinkingStats.reduce((total, { numTokens }) => total + numTokens, 0);
+  const thinkingMs = thinkingStats.reduce((total, { durationMs }) => total + durationMs, 0);
+
+  return (
+    <div className="relative" ref={popoverRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-1 px-2 py-1 text-xs text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-700 rounded transition-colors"
+        title="How this answer was generated"
+        aria-expanded={isOpen}
+      >
+        <InfoIcon className="h-3 w-3" />
+        Info
+      </button>
+
+      {isOpen && (
+        <div className="absolute bottom-full left-0 mb-1 w-72 p-3 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-md shadow-lg z-20 text-xs">
+          <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1">
+            <InfoRow label="Model">{modelEntry?.name ?? model ?? 'Unknown'}</InfoRow>
+            {finishReason && <InfoRow label="Ended">{FINISH_REASONS[finishReason] ?? finishReason}</InfoRow>}
+            {stats && (
+              <>
+                <InfoRow label="Tokens">{stats.numTokens.toLocaleString()}</InfoRow>
+                {stats.tps !== null && <InfoRow label="Speed">{stats.tps.toFixed(2)} tokens/second</InfoRow>}
+                {stats.ttftMs !== null && <InfoRow label="First token">{formatDuration(stats.ttftMs)}</InfoRow>}
+                <InfoRow label="Duration">{formatDuration(stats.durationMs)}</InfoRow>
+                {thinkingTokens > 0 && (
+                  <InfoRow label="Thinking">{thinkingTokens.toLocaleString()} tokens in {formatDuration(thinkingMs)}</InfoRow>
+                )}
+                <InfoRow label="Context">
+                  {stats.contextTokens.toLocaleString()}
+                  {contextSize && ` of ${contextSize.toLocaleString()}`} tokens
+                </InfoRow>
+              </>
+            )}
+            {config && (
+              <>
+                {GENERATION_PARAMETERS.map(({ key, label }) => (
+                  <InfoRow key={key} label={label}>{config[key]}</InfoRow>
+                ))}
+                <InfoRow label="Seed">{config.seed ?? 'Random'}</InfoRow>
+                {modelEntry?.features.thinking && config.thinking !== undefined && (
+                  <>
+                    <InfoRow label="Reasoning">
+                      {!canSwitchThinking(modelEntry) ? 'Always on' : config.thinking ? 'On' : 'Off'}
+                    </InfoRow>
+                    <InfoRow label="Thinking budget">
+                      {config.thinking_budget === null ? 'No limit' : `${config.thinking_budget.toLocaleString()} tokens`}
+                    </InfoRow>
+                  </>
+                )}
+                {config.stop.length > 0 && (
+                  <InfoRow label="Stop sequences">{config.stop.map((sequence) => JSON.stringify(sequence)).join(', ')}</InfoRow>
+                )}
+                <InfoRow label="Context window">
+                  {CONTEXT_STRATEGIES.find(({ value }) => value === config.context_strategy)?.label ?? config.context_strategy}
+                </InfoRow>
+              </>
+            )}
+          </dl>
+          {!stats && !config && (
+            <p className="mt-2 text-gray-500 dark:text-gray-400">
+              No statistics were recorded for this answer.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
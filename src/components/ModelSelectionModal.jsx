@@ -1,8 +1,17 @@
 import { useState } from 'react';
-import { AVAILABLE_MODELS } from './ModelSelector';
+import { getModelDescription, getDeviceNote, getModelDevice } from '../modelRegistry';
 
-export default function ModelSelectionModal({ onModelSelect, onClose }) {
-  const [selectedModel, setSelectedModel] = useState(AVAILABLE_MODELS[0].url);
+// Preselect the first model that runs well here
+function getDefaultModel(models, gpu) {
+  const model =
+    models.find((model) => getModelDevice(model, gpu) === 'webgpu') ??
+    models.find((model) => getModelDevice(model, gpu) && model.wasm?.practical) ??
+    models[0];
+  return model.url;
+}
+
+export default function ModelSelectionModal({ models, gpu, onModelSelect, onClose }) {
+  const [selectedModel, setSelectedModel] = useState(() => getDefaultModel(models, gpu));
 
   const handleLoad = () => {
     onModelSelect(selectedModel);
@@ -19,14 +28,21 @@ export default function ModelSelectionModal({ onModelSelect, onClose }) {
           <p className="text-sm text-gray-600 dark:text-gray-400">
             Select a model to get started. This will be remembered for future visits.
           </p>
+          {!gpu.shaderF16 && (
+            <p className="mt-2 text-sm text-amber-700 dark:text-amber-300">
+              {gpu.error} Models run on the CPU instead, which is much slower.
+            </p>
+          )}
         </div>
 
-        <div className="space-y-2 mb-6">
-          {AVAILABLE_MODELS.map((model) => (
+        <div className="space-y-2 mb-6 max-h-96 overflow-y-auto scrollbar-thin">
+          {models.map((model) => (
             <label
               key={model.id}
               className={`flex items-center gap-3 p-3 rounded-lg cursor-pointer transition-colors border ${
-                selectedModel === model.url
+                !getModelDevice(model, gpu)
+                  ? 'opacity-50 cursor-not-allowed bg-gray-50 dark:bg-gray-700 border-gray-200 dark:border-gray-600'
+                  : selectedModel === model.url
                   ? 'bg-blue-50 dark:bg-blue-900/20 border-blue-200 dark:border-blue-700'
                   : 'bg-gray-50 dark:bg-gray-700 border-gray-200 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-600'
               }`}
@@ -36,6 +52,7 @@ export default function ModelSelectionModal({ onModelSelect, onClose }) {
                 name="model"
                 value={model.url}
                 checked={selectedModel === model.url}
+                disabled={!getModelDevice(model, gpu)}
                 onChange={(e) => setSelectedModel(e.target.value)}
                 className="text-blue-600 focus:ring-blue-500"
               />
@@ -44,7 +61,8 @@ export default function ModelSelectionModal({ onModelSelect, onClose }) {
                   {model.name}
                 </div>
                 <div className="text-xs text-gray-500 dark:text-gray-400">
-                  {model.description}
+                  {getModelDescription(model)}
+                  {getDeviceNote(model, gpu) && ` · ${getDeviceNote(model, gpu)}`}
                 </div>
               </div>
             </label>
@@ -1,60 +1,12 @@
 import { useState, useRef, useEffect } from 'react';
 
-const AVAILABLE_MODELS = [
-  {
-    id: 'llama-3.2-1b',
-    name: 'Llama 3.2 1B',
-    description: 'Meta model, 1.2 GB',
-    url: 'onnx-community/Llama-3.2-1B-Instruct-q4f16',
-    hasReasoningBlocks: false,
-    contextSize: 131072 // 128k tokens
-  },
-  {
-    id: 'llama-3.2-3b',
-    name: 'Llama 3.2 3B',
-    description: 'Meta model, 2.4 GB',
-    url: 'onnx-community/Llama-3.2-3B-Instruct-onnx-web-gqa',
-    hasReasoningBlocks: false,
-    contextSize: 131072 // 128k tokens
-  },
-  {
-    id: 'phi-3.5-mini',
-    name: 'Phi-3.5 Mini 3.8B',
-    description: 'Microsoft model, 2.1 GB',
-    url: 'onnx-community/Phi-3.5-mini-instruct-onnx-web',
-    hasReasoningBlocks: false,
-    contextSize: 131072 // 128k tokens
-  },
-  {
-    id: 'smollm2-1.7b',
-    name: 'SmolLM2 1.7B',
-    description: 'HuggingFace model, 1.1 GB',
-    url: 'HuggingFaceTB/SmolLM2-1.7B-Instruct',
-    hasReasoningBlocks: false,
-    contextSize: 8192 // 8k tokens
-  },
-  {
-    id: 'qwen3-0.6b',
-    name: 'Qwen3 0.6B',
-    description: 'Alibaba model, 0.5 GB',
-    url: 'onnx-community/Qwen3-0.6B-ONNX',
-    hasReasoningBlocks: true,
-    contextSize: 32768 // 32k tokens
-  },
-  {
-    id: 'deepseek-r1-distill-qwen-1.5b',
-    name: 'DeepSeek-R1-Distill-Qwen 1.5B',
-    description: 'DeepSeek model, 1.3 GB',
-    url: 'onnx-community/DeepSeek-R1-Distill-Qwen-1.5B-ONNX',
-    hasReasoningBlocks: true,
-    contextSize: 131072 // 128k tokens
-  }
-];
+import TrashIcon from './icons/TrashIcon';
+import CustomModelModal from './CustomModelModal';
+import { findModel, getModelDescription, getDeviceNote, getModelDevice } from '../modelRegistry';
 
-export { AVAILABLE_MODELS };
-
-export default function ModelSelector({ selectedModel, onModelChange, disabled }) {
+export default function ModelSelector({ models, gpu, cachedModels, selectedModel, onModelChange, onAddModel, onRemoveModel, disabled }) {
   const [isOpen, setIsOpen] = useState(false);
+  const [showCustomModelModal, setShowCustomModelModal] = useState(false);
   const dropdownRef = useRef(null);
 
   useEffect(() => {
@@ -68,7 +20,7 @@ export default function ModelSelector({ selectedModel, onModelChange, disabled }
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
-  const selectedModelData = AVAILABLE_MODELS.find(model => model.url === selectedModel) || AVAILABLE_MODELS[0];
+  const selectedModelData = findModel(selectedModel, models) || models[0];
 
   return (
     <div className="relative" ref={dropdownRef}>
@@ -89,28 +41,76 @@ export default function ModelSelector({ selectedModel, onModelChange, disabled }
       </button>
 
       {isOpen && !disabled && (
-        <div className="absolute top-full left-0 mt-1 w-64 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-md shadow-lg z-20">
-          {AVAILABLE_MODELS.map((model) => (
-            <button
+        <div className="absolute top-full left-0 mt-1 w-64 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-md shadow-lg z-20 py-1 max-h-[70vh] overflow-y-auto scrollbar-thin">
+          {models.map((model) => (
+            <div
               key={model.id}
-              className={`w-full px-3 py-2 text-left text-sm hover:bg-gray-100 dark:hover:bg-gray-700 first:rounded-t-md last:rounded-b-md ${
+              className={`flex items-center hover:bg-gray-100 dark:hover:bg-gray-700 ${
                 model.url === selectedModel 
                   ? 'bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300' 
                   : 'text-gray-700 dark:text-gray-300'
               }`}
-              onClick={() => {
-                if (model.url !== selectedModel) {
-                  onModelChange(model.url);
-                }
-                setIsOpen(false);
-              }}
             >
-              <div className="font-medium">{model.name}</div>
-              <div className="text-xs text-gray-500 dark:text-gray-400">{model.description}</div>
-            </button>
+              <button
+                className="flex-1 min-w-0 px-3 py-2 text-left text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={!getModelDevice(model, gpu)}
+                onClick={() => {
+                  if (model.url !== selectedModel) {
+                    onModelChange(model.url);
+                  }
+                  setIsOpen(false);
+                }}
+              >
+                <div className="flex items-center gap-2">
+                  <span className="font-medium truncate">{model.name}</span>
+                  {cachedModels.has(model.url) && (
+                    <span
+                      className="shrink-0 px-1.5 text-[10px] font-medium uppercase tracking-wide text-green-700 dark:text-green-300 bg-green-100 dark:bg-green-900/40 rounded"
+                      title="Downloaded, loads offline"
+                    >
+                      cached
+                    </span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500 dark:text-gray-400">
+                  {getModelDescription(model)}
+                  {getDeviceNote(model, gpu) && ` · ${getDeviceNote(model, gpu)}`}
+                </div>
+              </button>
+              {model.custom && model.url !== selectedModel && (
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Remove "${model.name}" from the model list?`)) {
+                      onRemoveModel(model.url);
+                    }
+                  }}
+                  className="p-1 mr-2 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 rounded"
+                  title="Remove custom model"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              )}
+            </div>
           ))}
+          <div className="my-1 border-t border-gray-200 dark:border-gray-700" />
+          <button
+            className="w-full px-3 py-2 text-left text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+            onClick={() => {
+              setShowCustomModelModal(true);
+              setIsOpen(false);
+            }}
+          >
+            Add custom model…
+          </button>
         </div>
       )}
+
+      {showCustomModelModal && (
+        <CustomModelModal
+          onAdd={onAddModel}
+          onClose={() => setShowCustomModelModal(false)}
+        />
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,140 @@
+import { useState } from 'react';
+
+import PencilIcon from './icons/PencilIcon';
+import TrashIcon from './icons/TrashIcon';
+import { createPersona } from '../utils/personas';
+
+export default function PersonaManagerModal({ personas, onSave, onClose }) {
+  const [editingId, setEditingId] = useState(null); // null = not editing, 'new' = adding
+  const [name, setName] = useState('');
+  const [prompt, setPrompt] = useState('');
+
+  const startEditing = (persona) => {
+    setEditingId(persona?.id ?? 'new');
+    setName(persona?.name ?? '');
+    setPrompt(persona?.prompt ?? '');
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setName('');
+    setPrompt('');
+  };
+
+  const submitPersona = () => {
+    if (!name.trim() || !prompt.trim()) return;
+
+    if (editingId === 'new') {
+      onSave([...personas, createPersona(name.trim(), prompt.trim())]);
+    } else {
+      onSave(personas.map(persona =>
+        persona.id === editingId ? { ...persona, name: name.trim(), prompt: prompt.trim() } : persona
+      ));
+    }
+    cancelEditing();
+  };
+
+  const deletePersona = (persona) => {
+    if (window.confirm(`Delete persona "${persona.name}"?`)) {
+      onSave(personas.filter(p => p.id !== persona.id));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-lg mx-4 shadow-2xl">
+        <div className="mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-2">
+            Personas
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            A persona is a named system prompt that is sent to the model before the conversation. Personas are stored in this browser only.
+          </p>
+        </div>
+
+        {editingId ? (
+          <div className="space-y-3">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name, e.g. Code reviewer"
+              className="w-full px-3 py-2 text-sm bg-gray-50 dark:bg-gray-700 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-600 rounded-lg outline-none"
+              autoFocus
+            />
+            <textarea
+              value={prompt}
+              onChange={(e) => setPrompt(e.target.value)}
+              placeholder="You are a meticulous code reviewer…"
+              rows={6}
+              className="scrollbar-thin w-full px-3 py-2 text-sm bg-gray-50 dark:bg-gray-700 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-600 rounded-lg outline-none resize-none"
+            />
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={cancelEditing}
+                className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-500 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={submitPersona}
+                disabled={!name.trim() || !prompt.trim()}
+                className="px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Save
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="space-y-2 mb-4 max-h-80 overflow-y-auto scrollbar-thin">
+              {personas.length === 0 && (
+                <p className="py-4 text-sm text-center text-gray-500 dark:text-gray-400">
+                  No personas yet.
+                </p>
+              )}
+              {personas.map((persona) => (
+                <div
+                  key={persona.id}
+                  className="flex items-start gap-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600"
+                >
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium text-gray-900 dark:text-gray-100 truncate">{persona.name}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400 line-clamp-2">{persona.prompt}</div>
+                  </div>
+                  <button
+                    onClick={() => startEditing(persona)}
+                    className="p-1 text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 rounded"
+                    title="Edit persona"
+                  >
+                    <PencilIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => deletePersona(persona)}
+                    className="p-1 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 rounded"
+                    title="Delete persona"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-between">
+              <button
+                onClick={() => startEditing(null)}
+                className="px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+              >
+                New persona
+              </button>
+              <button
+                onClick={onClose}
+                className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-500 transition-colors"
+              >
+                Done
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { useState, useRef, useEffect } from 'react';
+
+export default function PersonaSelector({ personas, selectedPersonaId, onPersonaChange, onManage, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const dropdownRef = useRef(null);
+
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const selectedPersona = personas.find(persona => persona.id === selectedPersonaId);
+
+  const optionClassName = (isSelected) =>
+    `w-full px-3 py-2 text-left text-sm hover:bg-gray-100 dark:hover:bg-gray-700 ${
+      isSelected
+        ? 'bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300'
+        : 'text-gray-700 dark:text-gray-300'
+    }`;
+
+  return (
+    <div className="relative" ref={dropdownRef}>
+      <button
+        className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-800 rounded-md border border-gray-300 dark:border-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        onClick={() => !disabled && setIsOpen(!isOpen)}
+        disabled={disabled}
+        title="System prompt used for this chat"
+      >
+        <span className="max-w-[10rem] truncate">{selectedPersona?.name ?? 'No persona'}</span>
+        <svg
+          className={`w-4 h-4 transition-transform ${isOpen ? 'rotate-180' : ''}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {isOpen && !disabled && (
+        <div className="absolute top-full left-0 mt-1 w-64 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-md shadow-lg z-20 py-1">
+          <button
+            className={optionClassName(!selectedPersona)}
+            onClick={() => {
+              onPersonaChange(null);
+              setIsOpen(false);
+            }}
+          >
+            <div className="font-medium">No persona</div>
+            <div className="text-xs text-gray-500 dark:text-gray-400">Use the model without a system prompt</div>
+          </button>
+          {personas.map((persona) => (
+            <button
+              key={persona.id}
+              className={optionClassName(persona.id === selectedPersonaId)}
+              onClick={() => {
+                onPersonaChange(persona.id);
+                setIsOpen(false);
+              }}
+            >
+              <div className="font-medium truncate">{persona.name}</div>
+              <div className="text-xs text-gray-500 dark:text-gray-400 truncate">{persona.prompt}</div>
+            </button>
+          ))}
+          <div className="my-1 border-t border-gray-200 dark:border-gray-700" />
+          <button
+            className="w-full px-3 py-2 text-left text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+            onClick={() => {
+              onManage();
+              setIsOpen(false);
+            }}
+          >
+            Manage personas…
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+import { useEffect, useState } from 'react';
+
+import TrashIcon from './icons/TrashIcon';
+import { AUXILIARY_MODELS, getModelDevice } from '../modelRegistry';
+import { formatBytes } from '../utils/formatBytes';
+import {
+  getCacheStatus,
+  getStorageEstimate,
+  isStoragePersisted,
+  requestPersistentStorage,
+} from '../utils/modelCache';
+
+function describeStatus({ status, present, required }) {
+  switch (status) {
+    case 'cached':
+      return 'Cached, loads offline';
+    case 'partial':
+      return `Partially cached (${present} of ${required} files)`;
+    case 'local':
+      return 'Loaded from a local folder';
+    default:
+      return 'Not downloaded';
+  }
+}
+
+export default function StorageModal({ models, gpu, cachedFiles, download, onDownload, onDelete, onClose }) {
+  const [estimate, setEstimate] = useState(null);
+  const [persisted, setPersisted] = useState(false);
+
+  // The estimate changes whenever models are downloaded or deleted
+  useEffect(() => {
+    getStorageEstimate()
+      .then(setEstimate)
+      .catch((error) => console.warn('Could not estimate storage:', error));
+  }, [cachedFiles]);
+
+  useEffect(() => {
+    isStoragePersisted()
+      .then(setPersisted)
+      .catch((error) => console.warn('Could not check storage persistence:', error));
+  }, []);
+
+  const onPersist = async () => {
+    try {
+      const granted = await requestPersistentStorage();
+      setPersisted(granted);
+      if (!granted) {
+        window.alert('The browser did not grant persistent storage. Browsers usually grant it to installed or frequently used sites.');
+      }
+    } catch (error) {
+      console.warn('Could not request persistent storage:', error);
+    }
+  };
+
+  const auxiliaryModels = Object.values(AUXILIARY_MODELS);
+  const knownRepos = new Set([...models, ...auxiliaryModels].map((model) => model.url));
+  const otherRepos = cachedFiles ? [...cachedFiles.keys()].filter((repo) => !knownRepos.has(repo)) : [];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-lg mx-4 shadow-2xl max-h-[90vh] overflow-y-auto scrollbar-thin">
+        <div className="mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-2">
+            Storage
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Downloaded models are kept in the browser cache so they load offline.
+          </p>
+        </div>
+
+        {estimate && (
+          <div className="mb-4">
+            <div className="flex justify-between text-sm text-gray-700 dark:text-gray-300 mb-1">
+              <span>{formatBytes(estimate.usage)} used</span>
+              <span>{formatBytes(estimate.quota)} available to this site</span>
+            </div>
+            <div className="w-full h-2 bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-blue-500"
+                style={{ width: `${Math.min(100, (estimate.usage / estimate.quota) * 100)}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="flex items-center justify-between gap-3 mb-4 p-3 rounded-lg bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600">
+          <div className="text-sm text-gray-700 dark:text-gray-300">
+            {persisted
+              ? 'Storage is persistent: the browser will not evict models when space runs low.'
+              : 'The browser may evict cached models when space runs low.'}
+          </div>
+          {!persisted && (
+            <button
+              onClick={onPersist}
+              className="shrink-0 px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+            >
+              Make persistent
+            </button>
+          )}
+        </div>
+
+        <div className="space-y-2 mb-6">
+          {cachedFiles === null && (
+            <p className="py-4 text-sm text-center text-gray-500 dark:text-gray-400">
+              Reading the cache…
+            </p>
+          )}
+          {cachedFiles !== null && models.map((model) => {
+            const device = getModelDevice(model, gpu) ?? model.device;
+            const cacheStatus = getCacheStatus(model, device, cachedFiles);
+            const isDownloading = download?.model_id === model.url;
+
+            return (
+              <div
+                key={model.id}
+                className="flex items-center gap-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600"
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="font-medium text-gray-900 dark:text-gray-100 truncate">{model.name}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    {isDownloading
+                      ? `Downloading file ${download.fileIndex + 1} of ${download.fileCount}${download.progress === null ? '' : ` (${download.progress}%)`}…`
+                      : describeStatus(cacheStatus)}
+                    {cacheStatus.size > 0 && ` · ${formatBytes(cacheStatus.size)}`}
+                  </div>
+                </div>
+                {(cacheStatus.status === 'missing' || cacheStatus.status === 'partial') && (
+                  <button
+                    onClick={() => onDownload(model.url)}
+                    disabled={download !== null}
+                    className="shrink-0 px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Download without loading the model"
+                  >
+                    Download
+                  </button>
+                )}
+                {cacheStatus.status !== 'local' && cacheStatus.size > 0 && (
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`Delete the cached files of "${model.name}"? It will be downloaded again when needed.`)) {
+                        onDelete(model.url);
+                      }
+                    }}
+                    disabled={isDownloading}
+                    className="p-1 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 rounded disabled:opacity-50"
+                    title="Delete cached files"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            );
+          })}
+
+          {cachedFiles !== null && auxiliaryModels.map((model) => {
+            const size = [...(cachedFiles.get(model.url)?.values() ?? [])].reduce((total, fileSize) => total + fileSize, 0);
+            return (
+              <div
+                key={model.url}
+                className="flex items-center gap-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600"
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="font-medium text-gray-900 dark:text-gray-100 truncate">{model.name}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    {model.purpose} · {size > 0 ? formatBytes(size) : 'Downloaded when first used'}
+                  </div>
+                </div>
+                {size > 0 && (
+                  <button
+                    onClick={() => onDelete(model.url)}
+                    className="p-1 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 rounded"
+                    title="Delete cached files"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            );
+          })}
+
+          {otherRepos.map((repo) => {
+            const size = [...cachedFiles.get(repo).values()].reduce((total, fileSize) => total + fileSize, 0);
+            return (
+              <div
+                key={repo}
+                className="flex items-center gap-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600"
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="font-medium text-gray-900 dark:text-gray-100 truncate">{repo}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    No longer in the model list · {formatBytes(size)}
+                  </div>
+                </div>
+                <button
+                  onClick={() => onDelete(repo)}
+                  className="p-1 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 rounded"
+                  title="Delete cached files"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200 rounded hover:bg-gray-300 dark:hover:bg-gray-500 transition-colors"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,13 @@
 import { useState } from 'react';
 
-export default function ThinkBlock({ content, isGenerating, isDark }) {
+// e.g. "12.3 s · 345 tokens"
+function formatThinkingStats({ durationMs, numTokens }) {
+  return `${(durationMs / 1000).toFixed(1)} s · ${numTokens.toLocaleString()} tokens`;
+}
+
+// `stats` has the time and tokens the model spent on this block, if they
+// were recorded (see trackThinking in generate() in worker.js)
+export default function ThinkBlock({ content, isGenerating, isDark, stats }) {
   const [isExpanded, setIsExpanded] = useState(false);
 
   // Auto-collapse when generation is complete (when </think> is detected)
@@ -16,7 +23,7 @@ export default function ThinkBlock({ content, isGenerating, isDark }) {
   }
 
   return (
-    <div className="my-3 border border-blue-200 dark:border-blue-800 rounded-lg bg-blue-50 dark:bg-blue-950/30 w-full">
+    <div className="my-3 border border-blue-200 dark:border-blue-800 rounded-lg bg-blue-50 dark:bg-blue-950/30 w-full" data-skip-speech>
       <button
         onClick={() => setIsExpanded(!isExpanded)}
         className="w-full px-4 py-3 text-left text-sm font-medium text-blue-800 dark:text-blue-200 hover:bg-blue-100 dark:hover:bg-blue-900/50 rounded-t-lg transition-colors flex items-center justify-between"
@@ -31,6 +38,11 @@ export default function ThinkBlock({ content, isGenerating, isDark }) {
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
           </svg>
           <span>Reasoning</span>
+          {stats?.numTokens > 0 && (
+            <span className="text-xs font-normal text-blue-600 dark:text-blue-400">
+              {isComplete ? 'Thought for ' : ''}{formatThinkingStats(stats)}
+            </span>
+          )}
         </div>
         {isGenerating && !isComplete && (
           <div className="text-xs text-blue-600 dark:text-blue-400">
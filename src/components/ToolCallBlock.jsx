@@ -0,0 +1,59 @@
+import { useState } from 'react';
+
+import WrenchIcon from './icons/WrenchIcon';
+import { getToolTitle } from '../utils/tools';
+
+// A tool the model called while answering, with the result it got back.
+// `name` is null while the call is still being written and `result` is null
+// while the tool is running.
+export default function ToolCallBlock({ name, arguments: args, result, isGenerating }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const isRunning = result === null && isGenerating;
+  const summary = args ? Object.values(args).map((value) => String(value)).join(', ') : '';
+
+  return (
+    <div className="my-3 border border-gray-200 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-800/50 w-full" data-skip-speech>
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full px-4 py-3 text-left text-sm font-medium text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700/50 rounded-t-lg transition-colors flex items-center justify-between gap-3"
+      >
+        <div className="flex items-center gap-2 min-w-0">
+          <svg
+            className={`w-4 h-4 flex-shrink-0 transition-transform ${isExpanded ? 'rotate-90' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+          </svg>
+          <WrenchIcon className="w-4 h-4 flex-shrink-0" />
+          <span className="flex-shrink-0">{name ? getToolTitle(name) : 'Tool call'}</span>
+          {summary && (
+            <span className="truncate font-normal font-mono text-xs text-gray-500 dark:text-gray-400">{summary}</span>
+          )}
+        </div>
+        {isRunning && (
+          <div className="text-xs text-gray-500 dark:text-gray-400">
+            <span className="inline-block animate-bounce">.</span>
+            <span className="inline-block animate-bounce ml-0.5" style={{animationDelay: '0.1s'}}>.</span>
+            <span className="inline-block animate-bounce ml-0.5" style={{animationDelay: '0.2s'}}>.</span>
+          </div>
+        )}
+      </button>
+
+      {isExpanded && (
+        <div className="px-4 pb-4 border-t border-gray-200 dark:border-gray-600 text-sm">
+          <div className="mt-3 text-xs font-medium text-gray-500 dark:text-gray-400">Arguments</div>
+          <pre className="mt-1 p-3 rounded border bg-white dark:bg-gray-900/40 dark:border-gray-600 whitespace-pre-wrap break-words font-mono text-gray-800 dark:text-gray-200">
+            {args ? JSON.stringify(args, null, 2) : '…'}
+          </pre>
+          <div className="mt-3 text-xs font-medium text-gray-500 dark:text-gray-400">Result</div>
+          <pre className="mt-1 p-3 rounded border bg-white dark:bg-gray-900/40 dark:border-gray-600 whitespace-pre-wrap break-words font-mono text-gray-800 dark:text-gray-200">
+            {result ?? (isGenerating ? 'Running…' : 'No result')}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+export default function ChartIcon({ className }) {
+  return (
+    <svg
+      className={className}
+      fill="none"
+      stroke="currentColor"
+      viewBox="0 0 24 24"
+      xmlns="http://www.w3.org/2000/svg"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        strokeWidth={2}
+        d="M4 20h16M7 16v-5m5 5V6m5 10v-8"
+      />
+    </svg>
+  );
+}
@@ -0,0 +1,21 @@
+export default function ForkIcon({ className }) {
+  return (
+    <svg
+      className={className}
+      fill="none"
+      stroke="currentColor"
+      viewBox="0 0 24 24"
+      xmlns="http://www.w3.org/2000/svg"
+    >
+      <circle cx="6" cy="5" r="2" strokeWidth={2} />
+      <circle cx="18" cy="5" r="2" strokeWidth={2} />
+      <circle cx="12" cy="19" r="2" strokeWidth={2} />
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        strokeWidth={2}
+        d="M6 7v2a3 3 0 003 3h6a3 3 0 003-3V7m-6 5v5"
+      />
+    </svg>
+  );
+}
@@ -0,0 +1,13 @@
+export default function PlayIcon({ className }) {
+  return (
+    <svg
+      className={className}
+      fill="none"
+      stroke="currentColor"
+      viewBox="0 0 24 24"
+      xmlns="http://www.w3.org/2000/svg"
+    >
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 4.5v15l12-7.5-12-7.5z" />
+    </svg>
+  );
+}
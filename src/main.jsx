@@ -1,8 +1,20 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
+import mathJaxUrl from "mathjax/es5/tex-svg.js?url";
 import App from "./App.jsx";
+import { validateRegistry } from "./modelRegistry";
 import "./index.css";
 
+// Refuse to start with an inconsistent model registry
+validateRegistry();
+
+// MathJax is bundled with the app instead of loaded from a CDN so that it
+// works offline. Its config is in index.html.
+const mathJaxScript = document.createElement("script");
+mathJaxScript.src = mathJaxUrl;
+mathJaxScript.async = true;
+document.head.appendChild(mathJaxScript);
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <App />
@@ -0,0 +1,348 @@
+import { DEFAULT_GENERATION_CONFIG } from "./utils/generationConfig";
+
+/**
+ * The single list of chat models offered by the app. It is imported by the UI
+ * and the worker alike, so everything about a model is declared here:
+ *
+ * - `url`: Hugging Face repo id passed to `from_pretrained`
+ * - `dtype`, `device`, `use_external_data_format`: ONNX loading options.
+ *   Models made of several ONNX files (vision models) give `dtype` as an
+ *   object with the dtype of each file, e.g. { vision_encoder: "q4", ... }
+ * - `wasm`: weights to use on the CPU when WebGPU is unavailable, and whether
+ *   the model is `practical` (fast enough for chat) there. null if the repo
+ *   only has weights for WebGPU
+ * - `contextSize`: context window in tokens
+ * - `downloadSize`: approximate size of the weights in bytes, null if unknown
+ * - `requirements`: GPU features the WebGPU weights need, `shaderF16` for
+ *   f16 weights
+ * - `features`: what the model and its chat template support. `systemRole`
+ *   may be null to detect it from the chat template when the model is loaded.
+ *   `vision` models take images next to the text of user messages
+ * - `thinkingSwitch`: how `thinking` models are told whether to think:
+ *   "template" sets the chat template's `enable_thinking` variable, "prompt"
+ *   adds /think or /no_think to the user messages. Left out for models
+ *   that always think
+ * - `chatTemplate`: extra variables to render the chat template with
+ * - `generationDefaults`: recommended sampling settings, see utils/generationConfig.js
+ *
+ * The registry is validated at startup and during the build. Custom models
+ * added by the user (see utils/customModels.js) use the same entry format.
+ */
+export const AVAILABLE_MODELS = [
+  {
+    id: "llama-3.2-1b",
+    name: "Llama 3.2 1B",
+    vendor: "Meta",
+    url: "onnx-community/Llama-3.2-1B-Instruct-q4f16",
+    dtype: "q4f16",
+    device: "webgpu",
+    wasm: null,
+    contextSize: 131072, // 128k tokens
+    downloadSize: 1.2e9,
+    requirements: { shaderF16: true },
+    features: { systemRole: true, thinking: false, tools: true, vision: false },
+    chatTemplate: {},
+    generationDefaults: { temperature: 0.6, top_p: 0.9 },
+  },
+  {
+    id: "llama-3.2-3b",
+    name: "Llama 3.2 3B",
+    vendor: "Meta",
+    url: "onnx-community/Llama-3.2-3B-Instruct-onnx-web-gqa",
+    dtype: "q4f16",
+    device: "webgpu",
+    wasm: null,
+    contextSize: 131072, // 128k tokens
+    downloadSize: 2.4e9,
+    requirements: { shaderF16: true },
+    features: { systemRole: true, thinking: false, tools: true, vision: false },
+    chatTemplate: {},
+    generationDefaults: { temperature: 0.6, top_p: 0.9 },
+  },
+  {
+    id: "phi-3.5-mini",
+    name: "Phi-3.5 Mini 3.8B",
+    vendor: "Microsoft",
+    url: "onnx-community/Phi-3.5-mini-instruct-onnx-web",
+    dtype: "q4f16",
+    device: "webgpu",
+    wasm: null,
+    use_external_data_format: true,
+    contextSize: 131072, // 128k tokens
+    downloadSize: 2.1e9,
+    requirements: { shaderF16: true },
+    features: { systemRole: true, thinking: false, tools: false, vision: false },
+    chatTemplate: {},
+    generationDefaults: { temperature: 0 },
+  },
+  {
+    id: "smollm2-1.7b",
+    name: "SmolLM2 1.7B",
+    vendor: "HuggingFace",
+    url: "HuggingFaceTB/SmolLM2-1.7B-Instruct",
+    dtype: "q4f16",
+    device: "webgpu",
+    wasm: { dtype: "q4", practical: false },
+    contextSize: 8192, // 8k tokens
+    downloadSize: 1.1e9,
+    requirements: { shaderF16: true },
+    features: { systemRole: true, thinking: false, tools: false, vision: false },
+    chatTemplate: {},
+    generationDefaults: { temperature: 0.2, top_p: 0.9 },
+  },
+  {
+    id: "qwen3-0.6b",
+    name: "Qwen3 0.6B",
+    vendor: "Alibaba",
+    url: "onnx-community/Qwen3-0.6B-ONNX",
+    dtype: "q4f16",
+    device: "webgpu",
+    wasm: { dtype: "q4", practical: true },
+    contextSize: 32768, // 32k tokens
+    downloadSize: 0.5e9,
+    requirements: { shaderF16: true },
+    features: { systemRole: true, thinking: true, tools: true, vision: false },
+    thinkingSwitch: "template",
+    chatTemplate: { enable_thinking: true },
+    generationDefaults: { temperature: 0.6, top_p: 0.95, top_k: 20, max_new_tokens: 2048 },
+  },
+  {
+    id: "smolvlm-256m",
+    name: "SmolVLM 256M",
+    vendor: "HuggingFace",
+    url: "HuggingFaceTB/SmolVLM-256M-Instruct",
+    dtype: { embed_tokens: "fp16", vision_encoder: "q4", decoder_model_merged: "q4" },
+    device: "webgpu",
+    wasm: { dtype: { embed_tokens: "fp32", vision_encoder: "q8", decoder_model_merged: "q8" }, practical: true },
+    contextSize: 8192, // 8k tokens
+    downloadSize: 0.3e9,
+    requirements: { shaderF16: true },
+    features: { systemRole: true, thinking: false, tools: false, vision: true },
+    chatTemplate: {},
+    generationDefaults: { temperature: 0, max_new_tokens: 512 },
+  },
+  {
+    id: "deepseek-r1-distill-qwen-1.5b",
+    name: "DeepSeek-R1-Distill-Qwen 1.5B",
+    vendor: "DeepSeek",
+    url: "onnx-community/DeepSeek-R1-Distill-Qwen-1.5B-ONNX",
+    dtype: "q4f16",
+    device: "webgpu",
+    wasm: { dtype: "q4", practical: false },
+    contextSize: 131072, // 128k tokens
+    downloadSize: 1.3e9,
+    requirements: { shaderF16: true },
+    // DeepSeek recommends putting all instructions into the user prompt
+    features: { systemRole: false, thinking: true, tools: false, vision: false },
+    chatTemplate: {},
+    generationDefaults: { temperature: 0.6, top_p: 0.95, max_new_tokens: 2048 },
+  },
+];
+
+/**
+ * Smaller models for features other than chat. They run on the CPU next to
+ * the chat model, are downloaded the first time the feature is used and are
+ * cached like the chat models (see the Storage panel).
+ */
+export const AUXILIARY_MODELS = {
+  embedding: {
+    url: "Xenova/all-MiniLM-L6-v2",
+    name: "MiniLM L6",
+    purpose: "Document library search",
+    dtype: "q8",
+    downloadSize: 23e6,
+  },
+  speech: {
+    url: "onnx-community/whisper-base",
+    name: "Whisper Base",
+    purpose: "Speech input",
+    dtype: "q8",
+    downloadSize: 80e6,
+  },
+  voice: {
+    url: "Xenova/mms-tts-eng",
+    name: "MMS TTS English",
+    purpose: "Reading answers aloud",
+    dtype: "q8",
+    downloadSize: 40e6,
+  },
+};
+
+// File name suffix transformers.js expects for each dtype, e.g. onnx/model_q4f16.onnx
+const DTYPE_SUFFIXES = {
+  fp32: "",
+  fp16: "_fp16",
+  q8: "_quantized",
+  int8: "_int8",
+  uint8: "_uint8",
+  q4: "_q4",
+  bnb4: "_bnb4",
+  q4f16: "_q4f16",
+};
+
+export const DTYPES = Object.keys(DTYPE_SUFFIXES);
+export const DEVICES = ["webgpu", "wasm"];
+const FEATURES = ["systemRole", "thinking", "tools", "vision"];
+export const THINKING_SWITCHES = ["template", "prompt"];
+
+export function findModel(url, models = AVAILABLE_MODELS) {
+  return models.find((model) => model.url === url);
+}
+
+export function formatDownloadSize(bytes) {
+  return `${(bytes / 1e9).toFixed(1)} GB`;
+}
+
+/**
+ * Pick the backend for a model on this machine: WebGPU if the GPU supports
+ * what the model needs, otherwise the CPU (WASM) if the model has weights
+ * for it. Returns null if the model cannot run here. `gpu` is the result of
+ * the WebGPU check, `{ webgpu, shaderF16 }`.
+ */
+export function getModelDevice(model, gpu) {
+  if (model.device === "wasm") {
+    return "wasm";
+  }
+  if (gpu.webgpu && (gpu.shaderF16 || !model.requirements.shaderF16)) {
+    return "webgpu";
+  }
+  return model.wasm ? "wasm" : null;
+}
+
+// Weights to use on `device`: the CPU has its own in `wasm`
+export function getModelDtype(model, device) {
+  return device === model.device ? model.dtype : model.wasm.dtype;
+}
+
+// Path of the ONNX weights transformers.js loads for a dtype. Models made of
+// several files name them after their parts, e.g. "vision_encoder".
+export function getWeightsFile(dtype, part = "model") {
+  return `onnx/${part}${DTYPE_SUFFIXES[dtype]}.onnx`;
+}
+
+// Every ONNX file of a model with its dtype, see `dtype` in the registry
+export function getWeightsFiles(dtype) {
+  const parts = typeof dtype === "string" ? { model: dtype } : dtype;
+  return Object.entries(parts).map(([part, partDtype]) => getWeightsFile(partDtype, part));
+}
+
+function isValidDtype(dtype) {
+  return typeof dtype === "string"
+    ? DTYPES.includes(dtype)
+    : typeof dtype === "object" && dtype !== null && Object.keys(dtype).length > 0 &&
+      Object.values(dtype).every((partDtype) => DTYPES.includes(partDtype));
+}
+
+function usesF16(dtype) {
+  return (typeof dtype === "string" ? [dtype] : Object.values(dtype ?? {})).some((d) => d.includes("f16"));
+}
+
+// Short note for model lists when a model does not run on WebGPU here
+export function getDeviceNote(model, gpu) {
+  switch (getModelDevice(model, gpu)) {
+    case "webgpu":
+      return null;
+    case "wasm":
+      return model.device === "wasm" || model.wasm.practical ? "Runs on CPU" : "Very slow on CPU";
+    default:
+      return "Needs WebGPU";
+  }
+}
+
+// Whether thinking can be turned off for the model, see `thinkingSwitch`
+export function canSwitchThinking(model) {
+  return Boolean(model?.features.thinking && model.thinkingSwitch);
+}
+
+// e.g. "Meta model, 1.2 GB"
+export function getModelDescription(model) {
+  if (model.downloadSize === null) {
+    return `${model.vendor} model`;
+  }
+  return `${model.vendor} model, ${formatDownloadSize(model.downloadSize)}`;
+}
+
+// Returns a list of problems with a single registry entry
+export function validateModelEntry(model) {
+  const problems = [];
+  const label = model?.id ?? model?.url ?? "<unnamed model>";
+  const problem = (message) => problems.push(`${label}: ${message}`);
+
+  for (const key of ["id", "name", "vendor", "url"]) {
+    if (typeof model?.[key] !== "string" || model[key].length === 0) {
+      problem(`"${key}" must be a non-empty string`);
+    }
+  }
+  if (!isValidDtype(model?.dtype)) {
+    problem(`unknown dtype ${JSON.stringify(model?.dtype)}`);
+  }
+  if (!DEVICES.includes(model?.device)) {
+    problem(`unknown device "${model?.device}"`);
+  }
+  if (model?.wasm != null) {
+    if (!isValidDtype(model.wasm.dtype)) {
+      problem(`unknown wasm dtype ${JSON.stringify(model.wasm.dtype)}`);
+    }
+    if (typeof model.wasm.practical !== "boolean") {
+      problem(`"wasm.practical" must be a boolean`);
+    }
+  }
+  if (!Number.isInteger(model?.contextSize) || model.contextSize <= 0) {
+    problem(`"contextSize" must be a positive integer`);
+  }
+  if (model?.downloadSize !== null && !(model?.downloadSize > 0)) {
+    problem(`"downloadSize" must be a positive number of bytes or null`);
+  }
+
+  if (typeof model?.requirements?.shaderF16 !== "boolean") {
+    problem(`"requirements.shaderF16" must be a boolean`);
+  } else if (usesF16(model.dtype) && !model.requirements.shaderF16) {
+    problem(`dtype ${JSON.stringify(model.dtype)} needs "requirements.shaderF16"`);
+  }
+
+  for (const feature of FEATURES) {
+    const value = model?.features?.[feature];
+    if (typeof value !== "boolean" && !(feature === "systemRole" && value === null)) {
+      problem(`"features.${feature}" must be a boolean`);
+    }
+  }
+  if (model?.thinkingSwitch != null) {
+    if (!THINKING_SWITCHES.includes(model.thinkingSwitch)) {
+      problem(`unknown thinking switch "${model.thinkingSwitch}"`);
+    } else if (!model.features?.thinking) {
+      problem(`"thinkingSwitch" is set but "features.thinking" is not`);
+    }
+  }
+  if (typeof model?.chatTemplate !== "object" || model.chatTemplate === null) {
+    problem(`"chatTemplate" must be an object`);
+  } else if ("enable_thinking" in model.chatTemplate && !model.features?.thinking) {
+    problem(`"chatTemplate.enable_thinking" is set but "features.thinking" is not`);
+  }
+
+  for (const key of Object.keys(model?.generationDefaults ?? {})) {
+    if (!(key in DEFAULT_GENERATION_CONFIG)) {
+      problem(`unknown generation parameter "${key}"`);
+    }
+  }
+
+  return problems;
+}
+
+// Throws if any entry is invalid or if ids or urls are duplicated
+export function validateRegistry(models = AVAILABLE_MODELS) {
+  const problems = models.flatMap(validateModelEntry);
+
+  for (const key of ["id", "url"]) {
+    const seen = new Set();
+    for (const model of models) {
+      if (seen.has(model[key])) {
+        problems.push(`duplicate ${key} "${model[key]}"`);
+      }
+      seen.add(model[key]);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid model registry:\n- ${problems.join("\n- ")}`);
+  }
+}
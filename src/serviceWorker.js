@@ -0,0 +1,55 @@
+/* global PRECACHE_FILES, CACHE_VERSION */
+
+// Service worker that keeps the app shell available offline. It is not
+// bundled: the build prepends PRECACHE_FILES (every file of the build output)
+// and CACHE_VERSION, see the service-worker plugin in vite.config.js.
+// Model files are not handled here, transformers.js caches them itself.
+
+const CACHE_PREFIX = "privatgespraech-app-";
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+self.addEventListener("install", (event) => {
+  // The new version waits until the user chooses to reload, see
+  // utils/serviceWorker.js
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_FILES)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+          .map((name) => caches.delete(name)),
+      );
+      await self.clients.claim();
+    })(),
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+// Cache first for the app itself. Requests to other origins (e.g. model
+// downloads from the Hugging Face Hub) go to the network as usual.
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  event.respondWith(
+    (async () => {
+      const cache = await caches.open(CACHE_NAME);
+      // Every page of the app is the same single page
+      const cached = request.mode === "navigate"
+        ? await cache.match(new URL("index.html", self.registration.scope))
+        : await cache.match(request, { ignoreSearch: true });
+      return cached ?? fetch(request);
+    })(),
+  );
+});
@@ -0,0 +1,119 @@
+import { env, pipeline, WhisperTextStreamer } from "@huggingface/transformers";
+
+import { AUXILIARY_MODELS } from "./modelRegistry";
+
+// Speech recognition and synthesis run in their own worker, so that a
+// message can be dictated, or an answer read aloud, while the chat model is
+// busy. Model files go to the same browser cache as the chat models.
+
+// Same as worker.js: ONNX Runtime comes from the app, not a CDN
+import ortWasmUrl from "../node_modules/@huggingface/transformers/dist/ort-wasm-simd-threaded.jsep.wasm?url";
+import ortMjsUrl from "../node_modules/@huggingface/transformers/dist/ort-wasm-simd-threaded.jsep.mjs?url";
+
+env.backends.onnx.wasm.wasmPaths = { wasm: ortWasmUrl, mjs: ortMjsUrl };
+
+class SpeechRecognitionPipeline {
+  static instance = null;
+
+  static getInstance(progress_callback = null) {
+    const { url, dtype } = AUXILIARY_MODELS.speech;
+    this.instance ??= pipeline("automatic-speech-recognition", url, {
+      device: "wasm",
+      dtype,
+      progress_callback,
+    }).catch((error) => {
+      // Allow a later recording to try again, e.g. once back online
+      this.instance = null;
+      throw error;
+    });
+    return this.instance;
+  }
+}
+
+class TextToSpeechPipeline {
+  static instance = null;
+
+  static getInstance(progress_callback = null) {
+    const { url, dtype } = AUXILIARY_MODELS.voice;
+    this.instance ??= pipeline("text-to-speech", url, {
+      device: "wasm",
+      dtype,
+      progress_callback,
+    }).catch((error) => {
+      this.instance = null;
+      throw error;
+    });
+    return this.instance;
+  }
+}
+
+async function load() {
+  try {
+    await SpeechRecognitionPipeline.getInstance((x) => self.postMessage(x));
+    self.postMessage({ status: "ready" });
+  } catch (error) {
+    self.postMessage({ status: "error", data: error.toString() });
+  }
+}
+
+// `audio` is mono at 16 kHz, see utils/speech.js. The transcript is sent as
+// it grows, so the user can watch it appear in the message box.
+async function transcribe(audio) {
+  try {
+    const transcriber = await SpeechRecognitionPipeline.getInstance((x) => self.postMessage(x));
+    self.postMessage({ status: "ready" });
+
+    let text = "";
+    const streamer = new WhisperTextStreamer(transcriber.tokenizer, {
+      skip_prompt: true,
+      callback_function: (output) => {
+        text += output;
+        self.postMessage({ status: "update", text: text.trim() });
+      },
+    });
+
+    // Longer recordings are transcribed in overlapping 30 second windows
+    const output = await transcriber(audio, {
+      chunk_length_s: 30,
+      stride_length_s: 5,
+      streamer,
+    });
+    self.postMessage({ status: "complete", text: output.text.trim() });
+  } catch (error) {
+    self.postMessage({ status: "error", data: error.toString() });
+  }
+}
+
+// Speak one sentence for utils/readAloud.js. Replies carry the request `id`
+// as the next sentence is synthesized while the current one plays.
+async function synthesize(id, text) {
+  try {
+    const firstUse = TextToSpeechPipeline.instance === null;
+    const synthesizer = await TextToSpeechPipeline.getInstance((x) => self.postMessage(x));
+    if (firstUse) {
+      self.postMessage({ status: "voice_ready" });
+    }
+    const { audio, sampling_rate } = await synthesizer(text);
+    self.postMessage({ status: "synthesize_complete", id, audio, sampling_rate }, [audio.buffer]);
+  } catch (error) {
+    self.postMessage({ status: "synthesize_error", id, data: error.toString() });
+  }
+}
+
+self.addEventListener("message", (e) => {
+  const { type, data } = e.data;
+
+  switch (type) {
+    case "load":
+      load();
+      break;
+
+    case "transcribe":
+      transcribe(data);
+      break;
+
+    case "synthesize":
+      synthesize(data.id, data.text);
+      break;
+  }
+});
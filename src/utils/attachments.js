@@ -0,0 +1,95 @@
+import { formatSources } from "./documents";
+
+// Files attached to a prompt are read in the browser and sent to the model as
+// text inside the user turn. PDF text is extracted with pdf.js, which is only
+// loaded when the first PDF is attached.
+
+const TEXT_EXTENSIONS = [
+  "txt", "md", "markdown", "csv", "tsv", "json", "xml", "yaml", "yml", "toml", "ini", "log",
+  "html", "css", "js", "jsx", "ts", "tsx", "py", "java", "c", "h", "cpp", "hpp", "cs",
+  "go", "rs", "rb", "php", "sh", "sql", "swift", "kt",
+];
+
+// For the file picker
+export const ATTACHMENT_ACCEPT = [...TEXT_EXTENSIONS, "pdf"].map((extension) => `.${extension}`).join(",");
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Rough count for when no tokenizer is loaded yet
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function getExtension(name) {
+  const dot = name.lastIndexOf(".");
+  return dot === -1 ? "" : name.slice(dot + 1).toLowerCase();
+}
+
+async function readPdfText(file) {
+  const [pdfjs, { default: workerUrl }] = await Promise.all([
+    import("pdfjs-dist"),
+    import("pdfjs-dist/build/pdf.worker.min.mjs?url"),
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const { items } = await page.getTextContent();
+      pages.push(items.map((item) => item.str + (item.hasEOL ? "\n" : "")).join(""));
+    }
+    return pages.join("\n\n").trim();
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Read a file picked or dropped by the user. Resolves with
+ * { id, name, content, tokens, estimated }, where `tokens` is an estimate
+ * until the model's tokenizer has counted them. Throws with a user-facing
+ * message for files that are not text, code or PDF.
+ */
+export async function readAttachment(file) {
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`${file.name} is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB.`);
+  }
+
+  const extension = getExtension(file.name);
+  let content;
+  if (extension === "pdf") {
+    content = await readPdfText(file);
+    if (!content) {
+      throw new Error(`${file.name} has no text to extract, it may be a scanned document.`);
+    }
+  } else if (TEXT_EXTENSIONS.includes(extension) || file.type.startsWith("text/")) {
+    content = await file.text();
+    if (content.includes("\0")) {
+      throw new Error(`${file.name} is not a text file.`);
+    }
+  } else {
+    throw new Error(`${file.name} is not a supported file type. Attach text, code, Markdown, CSV or PDF files.`);
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    name: file.name,
+    content,
+    tokens: estimateTokens(content),
+    estimated: true,
+  };
+}
+
+/**
+ * The text the model sees for a user message: excerpts from the document
+ * library (see documents.js), its attachments, each wrapped in delimiters
+ * with the file name, and finally what the user typed.
+ */
+export function toPromptContent({ content, attachments = [], sources = [] }) {
+  const files = attachments.map(
+    ({ name, content: text }) => `<attachment name="${name.replace(/"/g, "'")}">\n${text}\n</attachment>`,
+  );
+  return [sources.length > 0 && formatSources(sources), ...files, content].filter(Boolean).join("\n\n");
+}
@@ -0,0 +1,108 @@
+// Benchmark reports of the benchmark page (see BenchmarkModal and
+// benchmark() in worker.js). Each report holds the results for the models
+// that were run together with what is known about the machine, so reports
+// from different machines can be compared. Reports are small and kept in
+// localStorage.
+const STORAGE_KEY = 'privatgespraech-benchmarks';
+
+export const BENCHMARK_FORMAT = "privatgespraech-benchmark";
+export const BENCHMARK_VERSION = 1;
+
+export function getStoredBenchmarks() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('Could not read benchmarks from localStorage:', error);
+    return [];
+  }
+}
+
+export function setStoredBenchmarks(reports) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(reports));
+  } catch (error) {
+    console.warn('localStorage not available:', error);
+  }
+}
+
+/**
+ * The machine the benchmark runs on. Browsers limit what they tell about the
+ * GPU, so `gpu` has the adapter info as far as it is available, or is null
+ * without WebGPU.
+ */
+export async function getSystemInfo(webGPUStatus) {
+  let gpu = null;
+  try {
+    const adapter = await navigator.gpu?.requestAdapter();
+    if (adapter) {
+      const { vendor, architecture, device, description } = adapter.info ?? {};
+      gpu = { vendor, architecture, device, description, shaderF16: adapter.features.has("shader-f16") };
+    }
+  } catch (error) {
+    console.warn('Could not read the WebGPU adapter info:', error);
+  }
+  return {
+    userAgent: navigator.userAgent,
+    cpuCores: navigator.hardwareConcurrency ?? null,
+    memoryGB: navigator.deviceMemory ?? null,
+    webgpu: webGPUStatus?.webgpu ?? false,
+    gpu,
+  };
+}
+
+// `results` are { modelId, modelName, device, ...result } or { modelId, modelName, device, error }
+export function createBenchmarkReport(system, results) {
+  return { id: crypto.randomUUID(), createdAt: Date.now(), system, results };
+}
+
+export function getBenchmarkFilename(report, extension) {
+  const date = new Date(report.createdAt).toISOString().slice(0, 19).replace(/[T:]/g, "-");
+  return `benchmark-${date}.${extension}`;
+}
+
+export function toBenchmarkJSON(report) {
+  return JSON.stringify({ format: BENCHMARK_FORMAT, version: BENCHMARK_VERSION, ...report }, null, 2);
+}
+
+const CSV_COLUMNS = [
+  ["date", (report) => new Date(report.createdAt).toISOString()],
+  ["gpu_vendor", (report) => report.system.gpu?.vendor],
+  ["gpu_architecture", (report) => report.system.gpu?.architecture],
+  ["gpu_description", (report) => report.system.gpu?.description],
+  ["cpu_cores", (report) => report.system.cpuCores],
+  ["user_agent", (report) => report.system.userAgent],
+  ["model", (report, result) => result.modelId],
+  ["device", (report, result) => result.device],
+  ["error", (report, result) => result.error],
+  ["download_ms", (report, result) => result.download?.ms],
+  ["download_bytes", (report, result) => result.download?.bytes],
+  ["load_ms", (report, result) => result.loadMs],
+  ["warmup_ms", (report, result) => result.warmupMs],
+  ["peak_context", (report, result) => result.peakContext],
+  ["prompt_tokens", (report, result, prompt) => prompt?.promptTokens],
+  ["new_tokens", (report, result, prompt) => prompt?.newTokens],
+  ["ttft_ms", (report, result, prompt) => prompt?.ttftMs],
+  ["prefill_tps", (report, result, prompt) => prompt?.prefillTps],
+  ["decode_tps", (report, result, prompt) => prompt?.decodeTps],
+];
+
+function toCSVValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(Math.round(value * 100) / 100);
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row for each prompt length of each model, with the model's and the
+// machine's values repeated, so the file can be filtered and pivoted as is
+export function toBenchmarkCSV(report) {
+  const rows = [CSV_COLUMNS.map(([name]) => name)];
+  for (const result of report.results) {
+    const prompts = result.prompts?.length > 0 ? result.prompts : [null];
+    for (const prompt of prompts) {
+      rows.push(CSV_COLUMNS.map(([, getValue]) => toCSVValue(getValue(report, result, prompt))));
+    }
+  }
+  return rows.map((row) => row.join(",")).join("\n") + "\n";
+}
@@ -0,0 +1,201 @@
+import workerSource from "../codeRunnerWorker.js?raw";
+
+// Running the code blocks of answers. Code runs in codeRunnerWorker.js, which
+// is started inside a sandboxed iframe, and is stopped when it takes too long.
+// Python comes from Pyodide, which is bundled with the app (see
+// vite.config.js) and loaded on the first Python run.
+
+// Code running longer than this is stopped, e.g. an endless loop
+const TIMEOUTS = {
+  javascript: 10000,
+  python: 30000,
+};
+
+const LANGUAGES = {
+  js: "javascript",
+  javascript: "javascript",
+  mjs: "javascript",
+  py: "python",
+  python: "python",
+};
+
+// The language a code block can be run as, or null
+export function getRunnableLanguage(language) {
+  return LANGUAGES[language?.toLowerCase()] ?? null;
+}
+
+// Without allow-same-origin the iframe gets an opaque origin, so nothing in it
+// can reach the app's storage, caches or cookies. Its CSP blocks every
+// request: scripts can only be inline or blobs, and eval and WebAssembly are
+// allowed for the code and Pyodide. The iframe's script starts the worker
+// from the source the app sends and relays messages between the two.
+const SANDBOX_CSP =
+  "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' 'wasm-unsafe-eval' blob:; worker-src blob:";
+const SANDBOX_HTML = `<!DOCTYPE html>
+<meta http-equiv="Content-Security-Policy" content="${SANDBOX_CSP}">
+<script>
+  addEventListener("message", (e) => {
+    if (e.source !== parent) return;
+    const [port] = e.ports;
+    const fail = (message) => port.postMessage({ status: "error", message });
+    try {
+      const url = URL.createObjectURL(new Blob([e.data], { type: "text/javascript" }));
+      const worker = new Worker(url, { type: "module" });
+      worker.onmessage = (event) => port.postMessage(event.data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        fail(event.message || "The code could not be run.");
+      };
+      port.onmessage = (event) => worker.postMessage(event.data, Object.values(event.data.files ?? {}));
+    } catch (error) {
+      fail(String(error));
+    }
+  }, { once: true });
+</script>`;
+
+// The files the worker loads Pyodide from, it cannot fetch them itself
+const PYODIDE_FILES = [
+  "pyodide.mjs",
+  "pyodide.asm.mjs",
+  "pyodide.asm.wasm",
+  "python_stdlib.zip",
+  "pyodide-lock.json",
+];
+
+async function fetchPyodideFiles() {
+  const files = {};
+  for (const name of PYODIDE_FILES) {
+    const response = await fetch(new URL(`pyodide/${name}`, document.baseURI));
+    if (!response.ok) {
+      throw new Error(`Could not load Pyodide (${name}: ${response.status}).`);
+    }
+    files[name] = await response.arrayBuffer();
+  }
+  return files;
+}
+
+function createSandbox() {
+  const iframe = document.createElement("iframe");
+  iframe.setAttribute("sandbox", "allow-scripts");
+  iframe.hidden = true;
+  iframe.srcdoc = SANDBOX_HTML;
+
+  // Messages to the port are queued until the iframe has loaded and relays them
+  const channel = new MessageChannel();
+  iframe.addEventListener(
+    "load",
+    () => iframe.contentWindow.postMessage(workerSource, "*", [channel.port2]),
+    { once: true },
+  );
+  document.body.append(iframe);
+  channel.port1.start();
+
+  return {
+    port: channel.port1,
+    hasPyodide: false,
+    terminate() {
+      channel.port1.close();
+      iframe.remove();
+    },
+  };
+}
+
+// Pyodide takes a while to load, so its sandbox is kept between runs. Runs
+// wait for the one before them.
+let pythonSandbox = null;
+let pythonQueue = Promise.resolve();
+
+function runInSandbox(sandbox, language, code, files, onUpdate) {
+  return new Promise((resolve) => {
+    const run = { status: "loading", stdout: "", stderr: "", result: null, error: null };
+    let timeout = null;
+
+    const finish = (changes, failed) => {
+      clearTimeout(timeout);
+      sandbox.port.removeEventListener("message", onMessage);
+      Object.assign(run, changes);
+      resolve({ run, failed });
+    };
+    const onMessage = (e) => {
+      const { status } = e.data;
+      if (status === "loading") {
+        onUpdate({ ...run, status: "loading" });
+      } else if (status === "started") {
+        Object.assign(run, { status: "running" });
+        onUpdate({ ...run });
+        timeout = setTimeout(() => {
+          finish({ status: "done", error: `Stopped after ${TIMEOUTS[language] / 1000} seconds.` }, true);
+        }, TIMEOUTS[language]);
+      } else if (status === "output") {
+        run[e.data.stream] += e.data.text;
+        onUpdate({ ...run });
+      } else if (status === "done") {
+        finish({ status: "done", result: e.data.result, error: e.data.error }, false);
+      } else if (status === "error") {
+        // The worker could not be started or broke down
+        finish({ status: "done", error: e.data.message }, true);
+      }
+    };
+
+    sandbox.port.addEventListener("message", onMessage);
+    sandbox.port.postMessage({ language, code, files }, Object.values(files ?? {}));
+  });
+}
+
+/**
+ * Run a code block. `onUpdate` is called with the run so far while it is
+ * loading, running and printing. Resolves with the finished run:
+ * { status: "done", stdout, stderr, result, error }, where `result` is the
+ * value of the last expression and `error` a message, or null.
+ */
+export async function runCode(language, code, onUpdate = () => {}) {
+  if (language === "javascript") {
+    // A fresh sandbox every time, nothing is left over from earlier runs
+    const sandbox = createSandbox();
+    try {
+      const { run } = await runInSandbox(sandbox, language, code, null, onUpdate);
+      return run;
+    } finally {
+      sandbox.terminate();
+    }
+  }
+
+  const result = pythonQueue.then(async () => {
+    pythonSandbox ??= createSandbox();
+    const sandbox = pythonSandbox;
+    let files = null;
+    if (!sandbox.hasPyodide) {
+      onUpdate({ status: "loading", stdout: "", stderr: "", result: null, error: null });
+      try {
+        files = await fetchPyodideFiles();
+      } catch (error) {
+        return { status: "done", stdout: "", stderr: "", result: null, error: error.message };
+      }
+      sandbox.hasPyodide = true;
+    }
+    const { run, failed } = await runInSandbox(sandbox, language, code, files, onUpdate);
+    if (failed) {
+      // Still running or broken, Pyodide is loaded again on the next run
+      sandbox.terminate();
+      pythonSandbox = null;
+    }
+    return run;
+  });
+  pythonQueue = result.catch(() => {});
+  return result;
+}
+
+// The message that sends a failed run back to the model to fix the code
+export function describeCodeError(language, run) {
+  const name = language === "python" ? "Python" : "JavaScript";
+  const stderr = run.stderr.trim();
+  return [
+    `Running the ${name} code failed:`,
+    "",
+    "```",
+    [stderr, run.error].filter(Boolean).join("\n"),
+    "```",
+    "",
+    "Please fix the code.",
+  ].join("\n");
+}
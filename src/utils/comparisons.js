@@ -0,0 +1,79 @@
+// Compare mode: one prompt answered by two models side by side, see
+// CompareModal. Which answer was better is voted on and the votes are kept
+// in localStorage.
+const STORAGE_KEY = 'privatgespraech-comparison-votes';
+
+export function getStoredVotes() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('Could not read comparison votes from localStorage:', error);
+    return [];
+  }
+}
+
+function setStoredVotes(votes) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(votes));
+  } catch (error) {
+    console.warn('localStorage not available:', error);
+  }
+}
+
+/**
+ * Record a vote on a comparison of `models` (two model ids). `winner` is the
+ * id of the model with the better answer, or null for a tie.
+ */
+export function addVote(prompt, models, winner) {
+  setStoredVotes([
+    ...getStoredVotes(),
+    { id: crypto.randomUUID(), createdAt: Date.now(), prompt, models, winner },
+  ]);
+}
+
+// Wins of each of the two `models` against each other, and ties, in either order
+export function tallyVotes(votes, [modelA, modelB]) {
+  const tally = { [modelA]: 0, [modelB]: 0, tie: 0 };
+  for (const { models, winner } of votes) {
+    if (!models.includes(modelA) || !models.includes(modelB)) continue;
+    if (winner === null) {
+      tally.tie++;
+    } else {
+      tally[winner]++;
+    }
+  }
+  return tally;
+}
+
+export function createComparison(prompt, models) {
+  return {
+    prompt,
+    vote: undefined, // Model id of the winner or null for a tie, once voted
+    runs: models.map((modelId) => ({
+      modelId,
+      status: "waiting", // "loading", "generating", "done" or "error"
+      content: "",
+      progress: null, // File being downloaded while loading: { file, progress }
+      tps: null,
+      numTokens: null,
+      finishReason: null,
+      error: null,
+    })),
+  };
+}
+
+// The comparison with run `index` changed by `changes`, or by a function of the run
+export function updateComparisonRun(comparison, index, changes) {
+  if (!comparison) return comparison;
+  return {
+    ...comparison,
+    runs: comparison.runs.map((run, i) =>
+      i === index ? { ...run, ...(typeof changes === "function" ? changes(run) : changes) } : run,
+    ),
+  };
+}
+
+export function isComparing(comparison) {
+  return comparison?.runs.some(({ status }) => ["waiting", "loading", "generating"].includes(status)) ?? false;
+}
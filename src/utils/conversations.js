@@ -0,0 +1,148 @@
+import { promisifyRequest, withStore } from "./db";
+import { createTree, getActivePath } from "./messageTree";
+
+const STORE = "conversations";
+const TITLE_MAX_LENGTH = 60;
+
+// Derive a title from the first user message (or the name of its first
+// attachment), shortened to fit the sidebar
+export function deriveTitle(messages) {
+  const firstUserMessage = messages.find((message) => message.role === "user");
+  const text = (firstUserMessage?.content || firstUserMessage?.attachments?.[0]?.name || firstUserMessage?.images?.[0]?.name)?.replace(/\s+/g, " ").trim();
+  if (!text) {
+    return "New chat";
+  }
+  return text.length > TITLE_MAX_LENGTH
+    ? `${text.slice(0, TITLE_MAX_LENGTH - 1).trimEnd()}…`
+    : text;
+}
+
+// Summaries for the sidebar, most recently updated first
+export async function listConversations() {
+  const records = await withStore(STORE, "readonly", (store) =>
+    promisifyRequest(store.getAll()),
+  );
+  return records
+    .map(({ id, title, model, createdAt, updatedAt }) => ({
+      id,
+      title,
+      model,
+      createdAt,
+      updatedAt,
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// Conversations saved before branches existed have a flat list of messages
+// instead of a message tree (see messageTree.js)
+export async function getConversation(id) {
+  const record = await withStore(STORE, "readonly", (store) => promisifyRequest(store.get(id)));
+  if (!record || record.tree) {
+    return record;
+  }
+  const { messages = [], ...rest } = record;
+  return { ...rest, tree: createTree(messages) };
+}
+
+// Create or update a conversation. The title and creation date of an
+// existing record are kept so that a rename is not overwritten; `title`
+// only applies to new records. The title is derived from the selected branch
+// of `tree` if there is none.
+export function saveConversation(id, {
+  tree,
+  model,
+  personaId = null,
+  generationOverrides = {},
+  contextStart = 0,
+  contextSummary = null,
+  title,
+}) {
+  return withStore(STORE, "readwrite", async (store) => {
+    const existing = (await promisifyRequest(store.get(id))) ?? {};
+    // Conversations saved before branches existed have a flat list of messages
+    delete existing.messages;
+    const now = Date.now();
+    const record = {
+      ...existing,
+      id,
+      title: existing.title ?? title ?? deriveTitle(getActivePath(tree)),
+      model,
+      personaId,
+      generationOverrides,
+      contextStart,
+      contextSummary,
+      tree,
+      createdAt: existing.createdAt ?? now,
+      updatedAt: now,
+    };
+    await promisifyRequest(store.put(record));
+    return record;
+  });
+}
+
+export function renameConversation(id, title) {
+  return withStore(STORE, "readwrite", async (store) => {
+    const existing = await promisifyRequest(store.get(id));
+    if (!existing) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+    await promisifyRequest(store.put({ ...existing, title }));
+  });
+}
+
+export function deleteConversation(id) {
+  return withStore(STORE, "readwrite", (store) => promisifyRequest(store.delete(id)));
+}
+
+const SEARCH_EXCERPT_LENGTH = 300;
+
+/**
+ * Keyword search over the selected branch of every saved conversation, for
+ * the chat search tool (see tools.js). Conversations are ranked by how many
+ * of the query's words their title and best matching message contain.
+ * Returns { title, updatedAt, role, excerpt } for each match.
+ */
+export async function searchConversations(query, { exclude = null, limit = 5 } = {}) {
+  const terms = [...new Set(query.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((term) => term.length > 1))];
+  if (terms.length === 0) {
+    return [];
+  }
+  const countTerms = (text) => terms.filter((term) => text.includes(term)).length;
+
+  const records = await withStore(STORE, "readonly", (store) => promisifyRequest(store.getAll()));
+  const matches = [];
+  for (const record of records) {
+    if (record.id === exclude) continue;
+    const messages = record.tree ? getActivePath(record.tree) : record.messages ?? [];
+    let best = null;
+    for (const message of messages) {
+      const text = message.content.replace(/<think>[\s\S]*?(<\/think>|$)/g, "").trim();
+      const score = countTerms(text.toLowerCase());
+      if (score > (best?.score ?? 0)) {
+        best = { score, text, role: message.role };
+      }
+    }
+    const score = (best?.score ?? 0) + countTerms(record.title.toLowerCase());
+    if (score === 0) continue;
+
+    // Show the message around the first word that matched
+    let excerpt = "";
+    if (best) {
+      const lower = best.text.toLowerCase();
+      const position = Math.min(...terms.map((term) => lower.indexOf(term)).filter((index) => index !== -1));
+      const start = Math.max(0, position - SEARCH_EXCERPT_LENGTH / 3);
+      excerpt = `${start > 0 ? "…" : ""}${best.text.slice(start, start + SEARCH_EXCERPT_LENGTH).replace(/\s+/g, " ")}${
+        start + SEARCH_EXCERPT_LENGTH < best.text.length ? "…" : ""
+      }`;
+    }
+    matches.push({
+      score,
+      match: { title: record.title, updatedAt: record.updatedAt, role: best?.role ?? null, excerpt },
+    });
+  }
+
+  return matches
+    .sort((a, b) => b.score - a.score || b.match.updatedAt - a.match.updatedAt)
+    .slice(0, limit)
+    .map(({ match }) => match);
+}
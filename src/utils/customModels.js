@@ -0,0 +1,65 @@
+import { validateModelEntry } from '../modelRegistry';
+
+// Models added by the user, either a Hugging Face repo id or a folder picked
+// from disk (see localModels.js). They use the model registry's entry format
+// and are listed after the built-in models.
+const STORAGE_KEY = 'privatgespraech-custom-models';
+
+export function getStoredCustomModels() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(stored)) return [];
+
+    return stored.filter((model) => {
+      const problems = validateModelEntry(model);
+      if (problems.length > 0) {
+        console.warn('Ignoring invalid custom model:', problems);
+      }
+      return problems.length === 0;
+    });
+  } catch (error) {
+    console.warn('Could not read custom models from localStorage:', error);
+    return [];
+  }
+}
+
+export function setStoredCustomModels(models) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(models));
+  } catch (error) {
+    console.warn('localStorage not available:', error);
+  }
+}
+
+export function createCustomModel({
+  url,
+  name,
+  vendor,
+  dtype,
+  device,
+  contextSize,
+  downloadSize = null,
+  use_external_data_format = false,
+  thinking = false,
+  thinkingSwitch = null,
+}) {
+  return {
+    id: `custom-${crypto.randomUUID()}`,
+    name,
+    vendor,
+    url,
+    dtype,
+    device,
+    wasm: null, // The device is picked by the user
+    ...(use_external_data_format && { use_external_data_format }),
+    contextSize,
+    downloadSize,
+    requirements: { shaderF16: dtype.includes('f16') },
+    // Whether the chat template takes a system role is detected on load
+    features: { systemRole: null, thinking, tools: false, vision: false },
+    ...(thinking && thinkingSwitch && { thinkingSwitch }),
+    chatTemplate: {},
+    generationDefaults: {},
+    custom: true,
+  };
+}
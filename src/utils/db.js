@@ -0,0 +1,76 @@
+// Shared IndexedDB access for everything the app persists locally.
+const DB_NAME = "privatgespraech";
+
+// Each entry upgrades the schema by one version. Never edit an existing
+// migration, append a new one instead.
+const MIGRATIONS = [
+  (db) => {
+    const conversations = db.createObjectStore("conversations", { keyPath: "id" });
+    conversations.createIndex("updatedAt", "updatedAt");
+  },
+  (db) => {
+    // Weights and tokenizer files of models loaded from a local folder
+    db.createObjectStore("modelFiles", { keyPath: "url" });
+  },
+  (db) => {
+    // Document library: text chunks of each document with their embeddings
+    const documents = db.createObjectStore("documents", { keyPath: "id" });
+    documents.createIndex("createdAt", "createdAt");
+  },
+];
+
+const DB_VERSION = MIGRATIONS.length;
+
+let dbPromise = null;
+
+export function openDatabase() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        MIGRATIONS[version](request.result, request.transaction);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later call to retry if opening failed (e.g. private browsing)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run `callback` inside a transaction on a single store. Resolves with the
+// callback's return value once the transaction has committed.
+export async function withStore(storeName, mode, callback) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    let result;
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+
+    Promise.resolve(callback(transaction.objectStore(storeName)))
+      .then((value) => {
+        result = value;
+      })
+      .catch((error) => {
+        transaction.abort();
+        reject(error);
+      });
+  });
+}
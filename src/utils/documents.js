@@ -0,0 +1,124 @@
+import { promisifyRequest, withStore } from "./db";
+
+// The document library: files are split into overlapping chunks, which the
+// worker embeds (see the "embed" request). Each turn, the chunks closest to
+// the user's message are added to the prompt as numbered sources.
+const STORE = "documents";
+
+const CHUNK_SIZE = 1000; // Characters, about 250 tokens
+const CHUNK_OVERLAP = 200;
+const MIN_SCORE = 0.2; // Cosine similarity below which a chunk is considered unrelated
+
+export const RETRIEVAL_TOP_K = 4;
+
+/**
+ * Split `text` into chunks of about `size` characters that overlap by
+ * `overlap` characters. Chunks end at a paragraph, line or sentence break
+ * where there is one near the end.
+ */
+export function chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  const clean = text.replace(/\r\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  const chunks = [];
+  let start = 0;
+  while (start < clean.length) {
+    let end = Math.min(start + size, clean.length);
+    if (end < clean.length) {
+      const searchFrom = start + Math.floor((size * 2) / 3);
+      const tail = clean.slice(searchFrom, end);
+      const breakAt = Math.max(tail.lastIndexOf("\n\n"), tail.lastIndexOf("\n"), tail.lastIndexOf(". "));
+      if (breakAt !== -1) {
+        end = searchFrom + breakAt + 1;
+      }
+    }
+    chunks.push(clean.slice(start, end).trim());
+    if (end >= clean.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+  return chunks.filter(Boolean);
+}
+
+// Summaries for the library list, most recently added first
+export async function listDocuments() {
+  const records = await withStore(STORE, "readonly", (store) => promisifyRequest(store.getAll()));
+  return records
+    .map(({ id, name, size, chunks, createdAt }) => ({ id, name, size, chunkCount: chunks.length, createdAt }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// `embeddings` are the normalized embeddings of `chunks`, in the same order
+export function saveDocument({ name, size, chunks, embeddings }) {
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    size,
+    chunks: chunks.map((text, i) => ({ text, embedding: embeddings[i] })),
+    createdAt: Date.now(),
+  };
+  return withStore(STORE, "readwrite", (store) => promisifyRequest(store.put(record)));
+}
+
+export function deleteDocument(id) {
+  return withStore(STORE, "readwrite", (store) => promisifyRequest(store.delete(id)));
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * The `topK` chunks most similar to `embedding` (normalized, so the dot
+ * product is the cosine similarity). Resolves with a list of
+ * { documentId, documentName, chunkIndex, text, score }.
+ */
+export async function searchDocuments(embedding, topK = RETRIEVAL_TOP_K) {
+  const records = await withStore(STORE, "readonly", (store) => promisifyRequest(store.getAll()));
+  return records
+    .flatMap((record) =>
+      record.chunks.map(({ text, embedding: chunkEmbedding }, chunkIndex) => ({
+        documentId: record.id,
+        documentName: record.name,
+        chunkIndex,
+        text,
+        score: dot(embedding, chunkEmbedding),
+      })),
+    )
+    .filter(({ score }) => score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+/**
+ * The sources of a user message as they appear in the prompt: numbered so
+ * that the model can cite them as [1], [2], ...
+ */
+export function formatSources(sources) {
+  const excerpts = sources.map(
+    ({ documentName, text }, i) => `[${i + 1}] From "${documentName}":\n${text}`,
+  );
+  return [
+    "Excerpts from my documents that may help with the answer. Cite the ones you use by their number, e.g. [1].",
+    ...excerpts,
+  ].join("\n\n");
+}
+
+/**
+ * Turn the citations [1], [2], ... in an answer into Markdown links to
+ * "#source-n", for the `count` sources of its prompt. Code is left alone.
+ */
+export function linkCitations(markdown, count) {
+  if (count === 0) return markdown;
+  return markdown
+    .split(/(```[\s\S]*?(?:```|$)|`[^`\n]*`)/)
+    .map((part, i) =>
+      i % 2 === 1
+        ? part
+        : part.replace(/\[(\d+)\](?![(:])/g, (citation, n) =>
+            n >= 1 && n <= count ? `[[${n}]](#source-${n})` : citation,
+          ),
+    )
+    .join("");
+}
@@ -0,0 +1,194 @@
+import { createElement } from "react";
+
+import ConversationTranscript from "../components/ConversationTranscript";
+import { parseToolBlocks } from "./toolCalls";
+import { getToolTitle } from "./tools";
+
+export const EXPORT_FORMAT = "privatgespraech-conversation";
+export const EXPORT_VERSION = 1;
+
+const ROLE_HEADINGS = {
+  user: "User",
+  assistant: "Assistant",
+};
+
+const HTML_STYLES = `
+  body { margin: 0; background: #fff; color: #1f2937; font: 16px/1.5 system-ui, sans-serif; }
+  main { max-width: 800px; margin: 0 auto; padding: 2rem 1.5rem; }
+  h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+  h2 { font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; margin: 0 0 0.5rem; }
+  .meta { color: #6b7280; font-size: 0.875rem; margin: 0 0 2rem; }
+  .message { margin-bottom: 1.5rem; }
+  .user-content { background: #f3f4f6; border-radius: 1rem; padding: 0.5rem 1rem; white-space: pre-wrap; }
+  .image { display: block; max-width: 100%; max-height: 24rem; border-radius: 0.5rem; margin: 0 0 0.5rem; }
+  :not(pre) > code { background: #f2f2f2; border-radius: 4px; padding: 0.2em 0.4em; font-size: 0.9em; }
+  pre { white-space: break-spaces; }
+  table, th, td { border: 1px solid lightgray; border-collapse: collapse; padding: 0.25rem; }
+  .think { border: 1px solid #bfdbfe; background: #eff6ff; border-radius: 0.5rem; padding: 0.75rem 1rem; margin: 0.75rem 0; }
+  .think summary { cursor: pointer; color: #1e40af; font-weight: 500; font-size: 0.875rem; }
+  .think-content { margin-top: 0.75rem; white-space: pre-wrap; font: 0.875rem/1.4 monospace; color: #1e3a8a; }
+  .tool { border: 1px solid #e5e7eb; background: #f9fafb; border-radius: 0.5rem; padding: 0.75rem 1rem; margin: 0.75rem 0; }
+  .tool summary { cursor: pointer; color: #374151; font-weight: 500; font-size: 0.875rem; }
+  .tool-content { margin-top: 0.75rem; white-space: pre-wrap; font: 0.875rem/1.4 monospace; }
+`;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toExportMessages(messages) {
+  return messages.map(({ role, content, attachments, images }) => ({
+    role,
+    content,
+    ...(attachments && { attachments: attachments.map(({ name, content: text }) => ({ name, content: text })) }),
+    ...(images && { images: images.map(({ name, dataUrl }) => ({ name, dataUrl })) }),
+  }));
+}
+
+export function toMarkdown({ title, model, messages }) {
+  const lines = [`# ${title}`, ""];
+  if (model) {
+    lines.push(`Model: \`${model}\``, "");
+  }
+  for (const { role, content, attachments = [], images = [] } of messages) {
+    // Keep reasoning and tool calls of answers out of the way, most Markdown
+    // renderers support <details>. What the user typed is exported as is.
+    const body = role !== "assistant" ? content : parseToolBlocks(content)
+      .map((part) =>
+        part.type === "tool"
+          ? `<details>\n<summary>Tool: ${part.name ? getToolTitle(part.name) : "unknown"}</summary>\n\n` +
+            `\`\`\`json\n${JSON.stringify(part.arguments ?? {}, null, 2)}\n\`\`\`\n\n\`\`\`\n${part.result ?? ""}\n\`\`\`\n\n</details>\n`
+          : part.content,
+      )
+      .join("\n\n")
+      .replace(
+        /<think>([\s\S]*?)(<\/think>|$)/g,
+        (_, thinking) => `<details>\n<summary>Reasoning</summary>\n\n${thinking.trim()}\n\n</details>\n`,
+      );
+    lines.push(`## ${ROLE_HEADINGS[role] ?? role}`, "");
+    for (const attachment of attachments) {
+      lines.push(`<details>\n<summary>Attachment: ${attachment.name}</summary>\n\n\`\`\`\`\n${attachment.content}\n\`\`\`\`\n\n</details>`, "");
+    }
+    for (const image of images) {
+      lines.push(`![${image.name.replace(/[[\]]/g, "")}](${image.dataUrl})`, "");
+    }
+    lines.push(body.trim(), "");
+  }
+  return lines.join("\n");
+}
+
+export function toJSON({ title, model, messages }) {
+  return JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      title,
+      model,
+      exportedAt: new Date().toISOString(),
+      messages: toExportMessages(messages),
+    },
+    null,
+    2,
+  );
+}
+
+// The HTML renderer is only needed for this export, so load it on demand
+export async function toHTML({ title, model, messages }) {
+  const { renderToStaticMarkup } = await import("react-dom/server");
+  const body = renderToStaticMarkup(
+    createElement(ConversationTranscript, { title, model, messages }),
+  );
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// Parse a file produced by toJSON(). Throws with a user-facing message if
+// the file is not a conversation export we can read.
+export function parseConversationJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+
+  if (data?.format !== EXPORT_FORMAT) {
+    throw new Error("The file is not a Privatgespräch conversation export.");
+  }
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+    throw new Error(`Unsupported export version: ${data.version}`);
+  }
+  if (!Array.isArray(data.messages)) {
+    throw new Error("The export does not contain any messages.");
+  }
+
+  const messages = data.messages.map((message, i) => {
+    if (!ROLE_HEADINGS[message?.role] || typeof message.content !== "string") {
+      throw new Error(`Message ${i + 1} is malformed.`);
+    }
+    const parsed = { role: message.role, content: message.content };
+
+    if (message.attachments !== undefined) {
+      const valid = Array.isArray(message.attachments) && message.attachments.every(
+        (attachment) => typeof attachment?.name === "string" && typeof attachment.content === "string",
+      );
+      if (!valid) {
+        throw new Error(`The attachments of message ${i + 1} are malformed.`);
+      }
+      parsed.attachments = message.attachments.map(({ name, content }) => ({ name, content }));
+    }
+
+    if (message.images !== undefined) {
+      // Only embedded images, an export must not make the app fetch anything
+      const valid = Array.isArray(message.images) && message.images.every(
+        (image) => typeof image?.name === "string" && typeof image.dataUrl === "string" && image.dataUrl.startsWith("data:image/"),
+      );
+      if (!valid) {
+        throw new Error(`The images of message ${i + 1} are malformed.`);
+      }
+      parsed.images = message.images.map(({ name, dataUrl }) => ({ id: crypto.randomUUID(), name, dataUrl }));
+    }
+
+    return parsed;
+  });
+
+  return {
+    title: typeof data.title === "string" ? data.title : null,
+    model: typeof data.model === "string" ? data.model : null,
+    messages,
+  };
+}
+
+export function getExportFilename(title, extension) {
+  const slug = title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50);
+  return `${slug || "conversation"}.${extension}`;
+}
+
+export function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,38 @@
+// Generation parameters are resolved in three layers: these app-wide
+// defaults, the model's `generationDefaults` from the model registry, and the
+// current conversation's overrides.
+export const DEFAULT_GENERATION_CONFIG = {
+  temperature: 0, // 0 = greedy decoding
+  top_p: 1,
+  top_k: 0, // 0 = no top-k filtering
+  repetition_penalty: 1,
+  max_new_tokens: 1024,
+  stop: [],
+  seed: null, // null = random
+  context_strategy: 'drop-oldest', // What to do when the conversation outgrows the context window
+  context_turns: 4, // Turns to keep with the 'last-turns' strategy
+  thinking: true, // Whether reasoning models think before answering, see `thinkingSwitch` in modelRegistry.js
+  thinking_budget: null, // Thinking tokens after which </think> is forced, null = no limit
+};
+
+export const CONTEXT_STRATEGIES = [
+  { value: 'drop-oldest', label: 'Drop oldest turns', hint: 'Leave out the oldest turns once the context window is full' },
+  { value: 'last-turns', label: 'Keep last N turns', hint: 'Only send the system prompt and the most recent turns' },
+  { value: 'summarize', label: 'Summarize older turns', hint: 'Replace dropped turns with a rolling summary written by the model' },
+];
+
+export const GENERATION_PARAMETERS = [
+  { key: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.05, hint: '0 picks the most likely token every time (greedy)' },
+  { key: 'top_p', label: 'Top P', min: 0.05, max: 1, step: 0.05, hint: 'Sample only from the smallest set of tokens whose probability adds up to P' },
+  { key: 'top_k', label: 'Top K', min: 0, max: 200, step: 1, hint: 'Sample only from the K most likely tokens, 0 disables' },
+  { key: 'repetition_penalty', label: 'Repetition penalty', min: 1, max: 2, step: 0.05, hint: 'Values above 1 discourage repeating earlier tokens' },
+  { key: 'max_new_tokens', label: 'Max new tokens', min: 16, max: 8192, step: 16, hint: 'Upper limit for the length of each answer' },
+];
+
+export function resolveGenerationConfig(model, overrides = {}) {
+  return {
+    ...DEFAULT_GENERATION_CONFIG,
+    ...model?.generationDefaults,
+    ...overrides,
+  };
+}
@@ -0,0 +1,45 @@
+// Images for vision models (see `features.vision` in the model registry).
+// They are scaled down in the browser and kept with the message as data
+// URLs, so saved conversations and exports include them.
+
+// For the file picker
+export const IMAGE_ACCEPT = "image/png,image/jpeg,image/webp,image/gif,image/bmp";
+
+// Longest side after scaling down. The model resizes images itself, larger
+// ones would only take up space.
+const MAX_IMAGE_SIZE = 1024;
+
+export function isImageFile(file) {
+  return file.type.startsWith("image/");
+}
+
+/**
+ * Read an image picked, pasted or dropped by the user. Resolves with
+ * { id, name, dataUrl }. Throws with a user-facing message for files the
+ * browser cannot decode.
+ */
+export async function readImage(file) {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new Error(`${file.name} is not an image the browser can read.`);
+  }
+
+  const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const context = canvas.getContext("2d");
+  // JPEG has no transparency
+  context.fillStyle = "#fff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return {
+    id: crypto.randomUUID(),
+    name: file.name || "Pasted image",
+    dataUrl: canvas.toDataURL("image/jpeg", 0.9),
+  };
+}
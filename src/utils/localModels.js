@@ -0,0 +1,98 @@
+import { DTYPES, getWeightsFile } from '../modelRegistry';
+import { promisifyRequest, withStore } from './db';
+
+// Models loaded from a local folder get a model id that is not a valid
+// Hugging Face repo id, so transformers.js never tries to download them.
+export const LOCAL_MODEL_PREFIX = 'local:';
+
+const REQUIRED_FILES = ['config.json', 'tokenizer.json', 'tokenizer_config.json'];
+
+export function isLocalModel(url) {
+  return url.startsWith(LOCAL_MODEL_PREFIX);
+}
+
+export function createLocalModelUrl() {
+  return `${LOCAL_MODEL_PREFIX}${crypto.randomUUID()}`;
+}
+
+/**
+ * Inspect the files of a folder picked with `<input webkitdirectory>`. Returns
+ * the folder name, the files keyed by their path inside the folder, the dtypes
+ * that have weights and the context size from config.json, or a list of
+ * problems if this is not a folder transformers.js can load.
+ */
+export async function inspectModelFolder(fileList) {
+  const files = new Map();
+  let folderName = '';
+  for (const file of fileList) {
+    // webkitRelativePath starts with the name of the picked folder
+    const [root, ...rest] = file.webkitRelativePath.split('/');
+    folderName = root;
+    files.set(rest.join('/'), file);
+  }
+
+  const problems = REQUIRED_FILES
+    .filter((path) => !files.has(path))
+    .map((path) => `${path} is missing`);
+
+  const dtypes = DTYPES.filter((dtype) => files.has(getWeightsFile(dtype)));
+  if (dtypes.length === 0) {
+    problems.push('No ONNX weights found in the onnx/ subfolder');
+  }
+
+  let contextSize = null;
+  if (files.has('config.json')) {
+    try {
+      const config = JSON.parse(await files.get('config.json').text());
+      contextSize = config.max_position_embeddings ?? null;
+    } catch {
+      problems.push('config.json is not valid JSON');
+    }
+  }
+
+  return { folderName, files, dtypes, contextSize, problems };
+}
+
+/**
+ * Pick the files needed to run the model with `dtype`: everything outside of
+ * the onnx/ subfolder plus the weights (and external data) of that dtype.
+ */
+export function selectModelFiles(files, dtype) {
+  const weights = getWeightsFile(dtype);
+  const selected = [...files]
+    .filter(([path]) => !path.startsWith('onnx/') || path === weights || path.startsWith(`${weights}_data`))
+    .map(([path, file]) => ({ path, file }));
+
+  // transformers.js expects either a single model.onnx_data file or numbered
+  // chunks (model.onnx_data, model.onnx_data_1, ...)
+  const externalDataFiles = selected.filter(({ path }) => path.startsWith(`${weights}_data`)).length;
+  const use_external_data_format = externalDataFiles > 1 ? externalDataFiles : externalDataFiles === 1;
+
+  return {
+    files: selected,
+    use_external_data_format,
+    downloadSize: selected.reduce((total, { file }) => total + file.size, 0),
+  };
+}
+
+// Files are copied into IndexedDB so that the model still loads after a
+// reload, without having to pick the folder again.
+export function saveLocalModelFiles(url, files) {
+  return withStore('modelFiles', 'readwrite', (store) =>
+    promisifyRequest(store.put({ url, files }))
+  );
+}
+
+// Resolves with a list of { path, file }, or null if there are no files
+export async function getLocalModelFiles(url) {
+  const record = await withStore('modelFiles', 'readonly', (store) =>
+    promisifyRequest(store.get(url))
+  );
+  return record?.files ?? null;
+}
+
+export function deleteLocalModelFiles(url) {
+  return withStore('modelFiles', 'readwrite', (store) =>
+    promisifyRequest(store.delete(url))
+  );
+}
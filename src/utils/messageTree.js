@@ -0,0 +1,124 @@
+// A conversation is a tree of messages: regenerating an answer or editing a
+// message adds a sibling instead of replacing it, so earlier versions stay
+// around as branches. The tree is a plain object of nodes keyed by id, which
+// keeps it easy to store in IndexedDB. Every node remembers which of its
+// children is selected; following those from the root gives the messages
+// that are shown and sent to the model.
+//
+// Nodes look like { id, parentId, children, activeChild, role, content, ... }.
+// Fields other than the tree structure are the message itself and are kept
+// as they are (e.g. the generation config of an answer).
+
+export const ROOT_ID = "root";
+
+function createRoot() {
+  return { id: ROOT_ID, parentId: null, children: [], activeChild: null };
+}
+
+// A tree holding `messages` as a single branch, e.g. from an import or a
+// conversation saved before branches existed
+export function createTree(messages = []) {
+  let tree = { [ROOT_ID]: createRoot() };
+  let parentId = ROOT_ID;
+  for (const message of messages) {
+    tree = addMessage(tree, parentId, message);
+    parentId = tree[parentId].activeChild;
+  }
+  return tree;
+}
+
+/**
+ * The messages of the selected branch, from the first to the last. Each
+ * entry is a node plus `branchIndex` and `branchCount`: its position among
+ * the alternatives for that turn and how many there are.
+ */
+export function getActivePath(tree) {
+  const path = [];
+  let parent = tree[ROOT_ID];
+  while (parent.activeChild) {
+    const node = tree[parent.activeChild];
+    path.push({
+      ...node,
+      branchIndex: parent.children.indexOf(node.id),
+      branchCount: parent.children.length,
+    });
+    parent = node;
+  }
+  return path;
+}
+
+// The id of the last message of the selected branch, or ROOT_ID if empty
+export function getLeafId(tree) {
+  let id = ROOT_ID;
+  while (tree[id].activeChild) {
+    id = tree[id].activeChild;
+  }
+  return id;
+}
+
+// Add `message` as the last child of `parentId` and select it
+export function addMessage(tree, parentId, message) {
+  const id = crypto.randomUUID();
+  const parent = tree[parentId];
+  return {
+    ...tree,
+    [parentId]: { ...parent, children: [...parent.children, id], activeChild: id },
+    [id]: { ...message, id, parentId, children: [], activeChild: null },
+  };
+}
+
+export function updateMessage(tree, id, changes) {
+  return { ...tree, [id]: { ...tree[id], ...changes } };
+}
+
+// Select the branch that continues with `childId`. With `childId` null the
+// branch ends at `parentId`.
+export function selectChild(tree, parentId, childId) {
+  return updateMessage(tree, parentId, { activeChild: childId });
+}
+
+// The child to select instead of the selected one at `index` that is gone
+// from `children`: the previous alternative, else the next one
+function getFallbackChild(children, index) {
+  return children[index - 1] ?? children[index] ?? null;
+}
+
+// Remove a message but keep what follows it: its children take its place
+// among the children of its parent
+export function removeMessage(tree, id) {
+  const node = tree[id];
+  const parent = tree[node.parentId];
+  const index = parent.children.indexOf(id);
+  const children = [...parent.children.slice(0, index), ...node.children, ...parent.children.slice(index + 1)];
+
+  const next = { ...tree };
+  delete next[id];
+  next[parent.id] = {
+    ...parent,
+    children,
+    activeChild: parent.activeChild === id
+      ? node.activeChild ?? getFallbackChild(children, index)
+      : parent.activeChild,
+  };
+  for (const childId of node.children) {
+    next[childId] = { ...tree[childId], parentId: parent.id };
+  }
+  return next;
+}
+
+// Remove a message together with its answers, all of them, not only the
+// selected one. The turns that follow the answers take the message's place.
+export function removeTurn(tree, id) {
+  let next = tree;
+  for (const answerId of tree[id].children) {
+    next = removeMessage(next, answerId);
+  }
+  return removeMessage(next, id);
+}
+
+const STRUCTURE_FIELDS = ["id", "parentId", "children", "activeChild", "branchIndex", "branchCount"];
+
+// The message of a node or path entry, without its place in the tree
+export function toMessage(node) {
+  return Object.fromEntries(Object.entries(node).filter(([key]) => !STRUCTURE_FIELDS.includes(key)));
+}
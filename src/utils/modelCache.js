@@ -0,0 +1,111 @@
+import { getModelDtype, getWeightsFiles } from '../modelRegistry';
+import { isLocalModel } from './localModels';
+
+// transformers.js keeps downloaded model files in Cache Storage, keyed by
+// their URL on the Hugging Face Hub.
+export const MODEL_CACHE_NAME = 'transformers-cache';
+const HUB_URL = 'https://huggingface.co';
+const CACHED_FILE_PATTERN = /^https:\/\/huggingface\.co\/([^/]+\/[^/]+)\/resolve\/[^/]+\/(.+)$/;
+
+export function getFileUrl(repo, file) {
+  return `${HUB_URL}/${repo}/resolve/main/${file}`;
+}
+
+/**
+ * The files transformers.js fetches to load `model` on `device`. Optional
+ * files are skipped if the repo does not have them.
+ */
+export function getModelFiles(model, device) {
+  const externalDataChunks = +(model.use_external_data_format ?? false);
+
+  return [
+    { file: 'config.json', optional: false },
+    { file: 'generation_config.json', optional: true },
+    { file: 'tokenizer.json', optional: false },
+    { file: 'tokenizer_config.json', optional: false },
+    // Vision models also need the settings of their image processor
+    ...(model.features.vision
+      ? [
+          { file: 'preprocessor_config.json', optional: false },
+          { file: 'processor_config.json', optional: true },
+        ]
+      : []),
+    ...getWeightsFiles(getModelDtype(model, device)).flatMap((weights) => [
+      { file: weights, optional: false },
+      ...Array.from({ length: externalDataChunks }, (_, i) => ({
+        file: `${weights}_data${i === 0 ? '' : `_${i}`}`,
+        optional: false,
+      })),
+    ]),
+  ];
+}
+
+/**
+ * Everything in the model cache, grouped by repo. Resolves with a Map from
+ * repo id to a Map from file path to its size in bytes.
+ */
+export async function getCachedFiles() {
+  const cache = await caches.open(MODEL_CACHE_NAME);
+  const repos = new Map();
+
+  for (const request of await cache.keys()) {
+    const match = request.url.match(CACHED_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, repo, file] = match;
+    const response = await cache.match(request);
+    const size = Number(response.headers.get('Content-Length')) || (await response.blob()).size;
+
+    if (!repos.has(repo)) {
+      repos.set(repo, new Map());
+    }
+    repos.get(repo).set(decodeURIComponent(file), size);
+  }
+  return repos;
+}
+
+/**
+ * How much of `model` is cached for `device`: 'cached' if every required file
+ * is there (the model loads offline), 'partial' if only some of its files
+ * are, 'missing' otherwise, and 'local' for models picked from a folder.
+ * `size` counts all cached files of the repo, i.e. what deleting it frees.
+ */
+export function getCacheStatus(model, device, cachedFiles) {
+  if (isLocalModel(model.url)) {
+    return { status: 'local', size: model.downloadSize };
+  }
+
+  const files = cachedFiles.get(model.url) ?? new Map();
+  const required = getModelFiles(model, device).filter(({ optional }) => !optional);
+  const present = required.filter(({ file }) => files.has(file)).length;
+  const size = [...files.values()].reduce((total, fileSize) => total + fileSize, 0);
+
+  let status = 'missing';
+  if (present === required.length) {
+    status = 'cached';
+  } else if (files.size > 0) {
+    status = 'partial';
+  }
+  return { status, size, present, required: required.length };
+}
+
+export async function deleteCachedRepo(repo) {
+  const cache = await caches.open(MODEL_CACHE_NAME);
+  const prefix = `${HUB_URL}/${repo}/`;
+  const requests = (await cache.keys()).filter((request) => request.url.startsWith(prefix));
+  await Promise.all(requests.map((request) => cache.delete(request)));
+}
+
+// Resolves with { usage, quota } in bytes, or null if the browser can't tell
+export async function getStorageEstimate() {
+  return navigator.storage?.estimate ? navigator.storage.estimate() : null;
+}
+
+export async function isStoragePersisted() {
+  return navigator.storage?.persisted ? navigator.storage.persisted() : false;
+}
+
+// Ask the browser not to evict our data under storage pressure
+export async function requestPersistentStorage() {
+  return navigator.storage?.persist ? navigator.storage.persist() : false;
+}
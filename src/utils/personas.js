@@ -0,0 +1,25 @@
+// Personas are named system prompts. They are small, so unlike conversations
+// they live in localStorage.
+const STORAGE_KEY = 'privatgespraech-personas';
+
+export function getStoredPersonas() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('Could not read personas from localStorage:', error);
+    return [];
+  }
+}
+
+export function setStoredPersonas(personas) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(personas));
+  } catch (error) {
+    console.warn('localStorage not available:', error);
+  }
+}
+
+export function createPersona(name, prompt) {
+  return { id: crypto.randomUUID(), name, prompt };
+}
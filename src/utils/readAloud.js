@@ -0,0 +1,281 @@
+import { removeToolCalls } from "./toolCalls";
+
+// Reading answers aloud. An answer's Markdown is reduced to the prose a
+// listener cares about (no code blocks, no reasoning) and split into
+// sentences, which are spoken one after the other. Speech comes from a local
+// model in speechWorker.js, or from the browser's own voices (Web Speech
+// API) when that model is not available.
+
+// Letters and digits: what the spoken text and the rendered answer are
+// compared by, see findTextRange()
+const WORD_CHARACTER = /[\p{L}\p{N}]/u;
+
+/**
+ * The text to speak for an answer: Markdown syntax, code blocks, <think>
+ * reasoning, tool calls and source citations are left out. Unclosed blocks at the end of
+ * an answer that is still being generated are left out as well.
+ */
+export function getSpeakableText(markdown) {
+  return removeToolCalls(markdown)
+    .replace(/<think>[\s\S]*?(<\/think>|$)/g, "\n")
+    .replace(/```[\s\S]*?(```|$)/g, "\n")
+    .replace(/\$\$[\s\S]*?(\$\$|$)/g, "\n")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "") // Images
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1") // Links
+    .replace(/ ?\[\d+\]/g, "") // Citations of the document library
+    .replace(/`([^`]*)`/g, "$1")
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, "") // Headings, quotes and list items
+    .replace(/^[\s|:-]+$/gm, "") // Table rules
+    .replace(/\|/g, " ")
+    .replace(/\*\*|~~|\*/g, "")
+    .replace(/(^|[^\p{L}\p{N}])_+|_+(?=[^\p{L}\p{N}]|$)/gu, "$1")
+    .replace(/[ \t]+/g, " ")
+    .trim();
+}
+
+// Sentences of `text`. Line breaks end a sentence too, e.g. after a heading.
+export function splitSentences(text) {
+  const lines = text.split(/\n+/).map((line) => line.trim()).filter(Boolean);
+  if (typeof Intl.Segmenter === "function") {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: "sentence" });
+    return lines.flatMap((line) =>
+      [...segmenter.segment(line)].map(({ segment }) => segment.trim()).filter(Boolean),
+    );
+  }
+  return lines.flatMap((line) => line.match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g).map((s) => s.trim()));
+}
+
+/**
+ * The range of `sentence` in the rendered answer `root`, to highlight it.
+ * Only letters and digits are compared as Markdown rendering changes the
+ * rest. Code blocks and elements marked with data-skip-speech are skipped,
+ * like in getSpeakableText(). Returns null if the sentence is not found.
+ */
+export function findTextRange(root, sentence) {
+  const wanted = [...sentence].filter((c) => WORD_CHARACTER.test(c)).join("");
+  if (!wanted) return null;
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) =>
+      node.parentElement.closest("pre, [data-skip-speech]") ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT,
+  });
+  let text = "";
+  const positions = []; // Text node and offset of every character of `text`
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    for (let i = 0; i < node.data.length; i++) {
+      if (WORD_CHARACTER.test(node.data[i])) {
+        text += node.data[i];
+        positions.push([node, i]);
+      }
+    }
+  }
+
+  const start = text.indexOf(wanted);
+  if (start === -1) return null;
+  const range = document.createRange();
+  range.setStart(...positions[start]);
+  const [endNode, endOffset] = positions[start + wanted.length - 1];
+  range.setEnd(endNode, endOffset + 1);
+  return range;
+}
+
+export function isBrowserSpeechSupported() {
+  return "speechSynthesis" in window;
+}
+
+/**
+ * Speaks a list of sentences, which may still grow while an answer is
+ * generated. `synthesize(text)` resolves with { audio, sampling_rate } from
+ * the local model; once it fails, the browser's voices are used instead.
+ * `onChange` is called with { key, sentence, paused } whenever another
+ * sentence starts, and with null when reading ends.
+ */
+export class ReadAloudPlayer {
+  constructor({ synthesize, onChange }) {
+    this.synthesize = synthesize;
+    this.onChange = onChange;
+    this.useBrowserVoice = false;
+    this.context = null;
+    this.session = null;
+    this.key = null;
+    this.finishedKey = null; // The last text read to the end, see follow()
+    this.finishedCount = 0;
+    this.dismissedKey = null; // Stopped by the user, follow() leaves it alone
+  }
+
+  // Start reading `sentences` from `index`. `key` identifies the text,
+  // e.g. a message id. With `finished` false, more sentences will follow.
+  start(key, sentences, finished = true, index = 0) {
+    this.stop();
+    this.prepare();
+
+    const session = {};
+    this.session = session;
+    this.key = key;
+    if (key === this.dismissedKey) {
+      this.dismissedKey = null;
+    }
+    this.sentences = [...sentences];
+    this.finished = finished;
+    this.index = index;
+    this.paused = false;
+    this.audio = new Map();
+    this.run(session);
+  }
+
+  // Browsers only allow audio once the user did something on the page, so
+  // call this on a click if reading may start later without one
+  prepare() {
+    this.context ??= new AudioContext();
+    this.context.resume();
+  }
+
+  // Keep up with a text that is being written: start reading it if it is new,
+  // or queue the sentences that were added since the last call.
+  follow(key, sentences, finished) {
+    if (key === this.dismissedKey) return;
+    if (key !== this.key) {
+      // A continued answer picks up where reading it ended
+      const index = key === this.finishedKey ? this.finishedCount : 0;
+      if (index < sentences.length || !finished) {
+        this.start(key, sentences, finished, index);
+      }
+      return;
+    }
+    this.sentences.push(...sentences.slice(this.sentences.length));
+    this.finished = finished;
+    this.wakeUp();
+  }
+
+  isReading(key) {
+    return this.key === key;
+  }
+
+  pause() {
+    if (!this.session || this.paused) return;
+    this.paused = true;
+    this.context?.suspend();
+    if (isBrowserSpeechSupported()) speechSynthesis.pause();
+    this.emit();
+  }
+
+  resume() {
+    if (!this.session || !this.paused) return;
+    this.paused = false;
+    this.context?.resume();
+    if (isBrowserSpeechSupported()) speechSynthesis.resume();
+    this.emit();
+  }
+
+  // Stop reading. `dismissed` marks a stop by the user, so that auto-reading
+  // does not pick the text up again.
+  stop(dismissed = false) {
+    if (!this.session) return;
+    if (dismissed) {
+      this.dismissedKey = this.key;
+    }
+    this.session = null;
+    this.key = null;
+    this.source?.stop();
+    if (isBrowserSpeechSupported()) speechSynthesis.cancel();
+    this.context?.resume(); // A paused context would not end the current sentence
+    this.wakeUp();
+    this.onChange(null);
+  }
+
+  wakeUp() {
+    const wake = this.wake;
+    this.wake = null;
+    wake?.();
+  }
+
+  emit() {
+    this.onChange({ key: this.key, sentence: this.sentences[this.index], paused: this.paused });
+  }
+
+  async run(session) {
+    while (session === this.session) {
+      if (this.index >= this.sentences.length) {
+        if (this.finished) {
+          this.finishedKey = this.key;
+          this.finishedCount = this.sentences.length;
+          this.stop();
+          return;
+        }
+        // Wait for follow() to add more
+        await new Promise((resolve) => (this.wake = resolve));
+        continue;
+      }
+
+      this.emit();
+      try {
+        await this.speak(this.index, session);
+      } catch (error) {
+        console.warn('Could not read aloud:', error);
+        if (session === this.session) this.stop();
+        return;
+      }
+      if (session !== this.session) return; // Stopped or restarted meanwhile
+      this.index++;
+    }
+  }
+
+  // The local model's audio of sentence `index`. The next sentence is
+  // synthesized meanwhile, so that there is no gap between them.
+  getAudio(index) {
+    if (!this.audio.has(index)) {
+      const audio = this.synthesize(this.sentences[index]);
+      audio.catch(() => {}); // Handled when the sentence is spoken
+      this.audio.set(index, audio);
+    }
+    return this.audio.get(index);
+  }
+
+  async speak(index, session) {
+    if (!this.useBrowserVoice) {
+      try {
+        const result = this.getAudio(index);
+        if (index + 1 < this.sentences.length) {
+          this.getAudio(index + 1);
+        }
+        const { audio, sampling_rate } = await result;
+        if (session === this.session) {
+          await this.play(audio, sampling_rate);
+        }
+        return;
+      } catch (error) {
+        if (!isBrowserSpeechSupported()) throw error;
+        console.warn('The local voice is not available, using the browser\'s voice:', error);
+        this.useBrowserVoice = true;
+      }
+    }
+    if (session === this.session) {
+      await this.speakWithBrowser(this.sentences[index]);
+    }
+  }
+
+  play(audio, sampling_rate) {
+    const buffer = this.context.createBuffer(1, audio.length, sampling_rate);
+    buffer.copyToChannel(audio, 0);
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.context.destination);
+    this.source = source;
+    return new Promise((resolve) => {
+      source.addEventListener("ended", () => {
+        this.source = null;
+        resolve();
+      });
+      source.start();
+    });
+  }
+
+  speakWithBrowser(sentence) {
+    return new Promise((resolve) => {
+      const utterance = new SpeechSynthesisUtterance(sentence);
+      utterance.addEventListener("end", resolve);
+      utterance.addEventListener("error", resolve);
+      speechSynthesis.speak(utterance);
+    });
+  }
+}
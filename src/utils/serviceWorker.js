@@ -0,0 +1,44 @@
+// Registers the service worker built from src/serviceWorker.js (see
+// vite.config.js). Only production builds have one, the dev server always
+// serves the latest code.
+
+/**
+ * Register the service worker and call `onUpdate(apply)` once a new version
+ * of the app has been downloaded. Calling `apply()` activates it and reloads
+ * the page.
+ */
+export function registerServiceWorker(onUpdate) {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) {
+    return;
+  }
+
+  // Without a controller this is the first install, not an update
+  const hadController = navigator.serviceWorker.controller !== null;
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  const notify = (worker) => {
+    onUpdate(() => worker.postMessage({ type: "SKIP_WAITING" }));
+  };
+
+  navigator.serviceWorker
+    .register("./sw.js")
+    .then((registration) => {
+      if (registration.waiting && hadController) {
+        notify(registration.waiting);
+      }
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        worker?.addEventListener("statechange", () => {
+          if (worker.state === "installed" && navigator.serviceWorker.controller) {
+            notify(worker);
+          }
+        });
+      });
+    })
+    .catch((error) => console.warn("Could not register the service worker:", error));
+}
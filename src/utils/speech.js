@@ -0,0 +1,53 @@
+// Voice input: audio is recorded with MediaRecorder and transcribed by
+// Whisper in speechWorker.js. Nothing leaves the browser.
+
+// Whisper expects mono audio at this rate
+const SAMPLING_RATE = 16000;
+
+export function isSpeechInputSupported() {
+  return Boolean(navigator.mediaDevices?.getUserMedia && window.MediaRecorder);
+}
+
+/**
+ * Start recording from the microphone. Resolves with a function that stops
+ * the recording and resolves with the audio as a Blob. Rejects if the user
+ * denies access to the microphone.
+ */
+export async function startRecording() {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const recorder = new MediaRecorder(stream);
+  const chunks = [];
+  recorder.addEventListener("dataavailable", (e) => chunks.push(e.data));
+  recorder.start();
+
+  return () =>
+    new Promise((resolve) => {
+      recorder.addEventListener("stop", () => {
+        stream.getTracks().forEach((track) => track.stop());
+        resolve(new Blob(chunks, { type: recorder.mimeType }));
+      });
+      recorder.stop();
+    });
+}
+
+// Decode a recording into the samples Whisper takes
+export async function decodeAudio(blob) {
+  const context = new AudioContext({ sampleRate: SAMPLING_RATE });
+  try {
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+    if (buffer.numberOfChannels === 1) {
+      return buffer.getChannelData(0);
+    }
+    // Mix down to mono
+    const samples = new Float32Array(buffer.length);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] += data[i] / buffer.numberOfChannels;
+      }
+    }
+    return samples;
+  } finally {
+    context.close();
+  }
+}
@@ -0,0 +1,49 @@
+// Split content into regular content and <think> reasoning blocks
+export function parseThinkBlocks(content) {
+  const parts = [];
+  let currentIndex = 0;
+  
+  // Find all think blocks
+  const thinkRegex = /<think>[\s\S]*?(<\/think>|$)/g;
+  let match;
+  
+  while ((match = thinkRegex.exec(content)) !== null) {
+    // Add content before this think block
+    if (match.index > currentIndex) {
+      const beforeContent = content.slice(currentIndex, match.index).trim();
+      if (beforeContent) {
+        parts.push({ type: 'content', content: beforeContent });
+      }
+    }
+    
+    // Add the think block
+    parts.push({ type: 'think', content: match[0] });
+    currentIndex = match.index + match[0].length;
+  }
+  
+  // Add remaining content after the last think block
+  if (currentIndex < content.length) {
+    const remainingContent = content.slice(currentIndex).trim();
+    if (remainingContent) {
+      parts.push({ type: 'content', content: remainingContent });
+    }
+  }
+  
+  // If no think blocks found, return the original content
+  if (parts.length === 0) {
+    parts.push({ type: 'content', content: content });
+  }
+  
+  return parts;
+}
+
+// The content without its <think> blocks. Reasoning models are meant to see
+// only the final answers of earlier turns, not what they thought on the way.
+export function removeThinkBlocks(content) {
+  return content.replace(/<think>[\s\S]*?(<\/think>|$)/g, '').trim();
+}
+
+// Whether the content ends inside a <think> block that is still being written
+export function isThinking(content) {
+  return content.lastIndexOf('<think>') > content.lastIndexOf('</think>');
+}
@@ -0,0 +1,144 @@
+// Tool calls are kept inside the answer's content, like <think> reasoning.
+// Each call is followed by the result of running it:
+//
+//   <tool_call>
+//   {"name": "calculator", "arguments": {"expression": "2^10"}}
+//   </tool_call>
+//   <tool_response>
+//   1024
+//   </tool_response>
+//
+// This is the format Qwen models write themselves. Other models' calls are
+// rewritten into it by the worker, see findToolCalls().
+
+const TOOL_BLOCK_REGEX =
+  /<tool_call>\s*([\s\S]*?)\s*(?:<\/tool_call>|$)\s*(?:<tool_response>\n?([\s\S]*?)\n?(?:<\/tool_response>|$))?/g;
+
+export const TOOL_CALL_START = "<tool_call>";
+
+export function formatToolCall({ name, arguments: args }) {
+  return `${TOOL_CALL_START}\n${JSON.stringify({ name, arguments: args })}\n</tool_call>\n`;
+}
+
+export function formatToolResponse(result) {
+  return `<tool_response>\n${result}\n</tool_response>\n`;
+}
+
+// { name, arguments } of a call, or null if it is not one
+function toToolCall(value) {
+  const call = value?.function && typeof value.function === "object" ? value.function : value;
+  if (typeof call?.name !== "string") {
+    return null;
+  }
+  let args = call.arguments ?? call.parameters ?? {};
+  if (typeof args === "string") {
+    try {
+      args = JSON.parse(args);
+    } catch {
+      return null;
+    }
+  }
+  return typeof args === "object" && !Array.isArray(args) ? { name: call.name, arguments: args } : null;
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * The tool calls in text generated by a model: <tool_call> blocks (Qwen), or
+ * an answer that is nothing but a JSON call (Llama). Returns { index, calls }
+ * with the position the first call starts at, or null if there is no call.
+ */
+export function findToolCalls(text) {
+  const index = text.indexOf(TOOL_CALL_START);
+  if (index !== -1) {
+    const calls = [...text.slice(index).matchAll(/<tool_call>\s*([\s\S]*?)\s*<\/tool_call>/g)]
+      .map((match) => toToolCall(parseJSON(match[1])));
+    return calls.length > 0 && calls.every(Boolean) ? { index, calls } : null;
+  }
+
+  const trimmed = text.trim();
+  if (!trimmed.startsWith("{")) {
+    return null;
+  }
+  // Llama writes several calls separated by semicolons
+  const calls = trimmed.split(/;\s*(?=\{)/).map((part) => toToolCall(parseJSON(part)));
+  return calls.every(Boolean) ? { index: text.indexOf("{"), calls } : null;
+}
+
+/**
+ * Split an answer into its text and tool calls for display. Tool parts are
+ * { type: 'tool', name, arguments, result }, where `result` is null while the
+ * tool is still running. A call that is still being written has no name yet.
+ */
+export function parseToolBlocks(content) {
+  const parts = [];
+  let currentIndex = 0;
+  for (const match of content.matchAll(TOOL_BLOCK_REGEX)) {
+    const before = content.slice(currentIndex, match.index).trim();
+    if (before) {
+      parts.push({ type: 'content', content: before });
+    }
+    const call = toToolCall(parseJSON(match[1]));
+    parts.push({
+      type: 'tool',
+      name: call?.name ?? null,
+      arguments: call?.arguments ?? null,
+      result: match[2] ?? null,
+    });
+    currentIndex = match.index + match[0].length;
+  }
+
+  const remaining = content.slice(currentIndex).trim();
+  if (remaining || parts.length === 0) {
+    parts.push({ type: 'content', content: parts.length === 0 ? content : remaining });
+  }
+  return parts;
+}
+
+// The answer without its tool calls, e.g. for models that do not know tools
+export function removeToolCalls(content) {
+  return content.replace(TOOL_BLOCK_REGEX, "\n").replace(/\n{3,}/g, "\n\n");
+}
+
+/**
+ * Messages for the chat template: answers with tool calls become an
+ * assistant message for each call (`tool_calls`, one at a time as Llama's
+ * template requires) followed by a `tool` message with the result. The text
+ * after the last result is an assistant message of its own. For the last
+ * message it is kept even if empty, as continuing an answer writes into it.
+ */
+export function expandToolCalls(chat) {
+  return chat.flatMap((message, i) => {
+    if (message.role !== "assistant" || !message.content.includes(TOOL_CALL_START)) {
+      return [message];
+    }
+
+    const expanded = [];
+    let text = "";
+    for (const part of parseToolBlocks(message.content)) {
+      if (part.type === 'content') {
+        text += part.content;
+      } else if (part.name !== null && part.result !== null) {
+        expanded.push(
+          {
+            role: "assistant",
+            content: text,
+            tool_calls: [{ type: "function", function: { name: part.name, arguments: part.arguments } }],
+          },
+          { role: "tool", name: part.name, content: part.result },
+        );
+        text = "";
+      }
+    }
+    if (text || i === chat.length - 1) {
+      expanded.push({ role: "assistant", content: text });
+    }
+    return expanded;
+  });
+}
@@ -0,0 +1,376 @@
+import { searchConversations } from "./conversations";
+
+// Built-in tools that models with tool support (`features.tools` in the
+// model registry) can call while answering. They run locally in the worker,
+// see the tool loop in worker.js. Results are text the model reads.
+
+// Longer results are cut, they would crowd the model's context window
+const MAX_RESULT_LENGTH = 4000;
+
+// Functions and constants the calculator knows
+const MATH_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+};
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+/**
+ * Evaluate an arithmetic expression such as "2 * (3 + 4)^2 / sqrt(16)".
+ * Supports + - * / % ^, parentheses and the functions and constants above.
+ * The expression is parsed, never run as code.
+ */
+export function evaluateExpression(expression) {
+  const tokens = expression
+    .replace(/\*\*/g, "^")
+    .replace(/×/g, "*")
+    .replace(/÷/g, "/")
+    .match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z_][a-z0-9_]*|\S/gi) ?? [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) {
+      throw new Error(`Expected "${token}" in the expression`);
+    }
+  };
+
+  function parseSum() {
+    let value = parseProduct();
+    while (peek() === "+" || peek() === "-") {
+      value = next() === "+" ? value + parseProduct() : value - parseProduct();
+    }
+    return value;
+  }
+
+  function parseProduct() {
+    let value = parseUnary();
+    while (peek() === "*" || peek() === "/" || peek() === "%") {
+      const operator = next();
+      const right = parseUnary();
+      value = operator === "*" ? value * right : operator === "/" ? value / right : value % right;
+    }
+    return value;
+  }
+
+  // Unary minus binds weaker than ^, so -2^2 is -4
+  function parseUnary() {
+    if (peek() === "-") {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === "+") {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek() === "^") {
+      next();
+      return base ** parseUnary();
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (token === undefined) {
+      throw new Error("The expression ends unexpectedly");
+    }
+    if (token === "(") {
+      const value = parseSum();
+      expect(")");
+      return value;
+    }
+    if (/^\d|^\./.test(token)) {
+      return Number(token);
+    }
+    const name = token.toLowerCase();
+    if (name in MATH_FUNCTIONS) {
+      expect("(");
+      const args = [parseSum()];
+      while (peek() === ",") {
+        next();
+        args.push(parseSum());
+      }
+      expect(")");
+      return MATH_FUNCTIONS[name](...args);
+    }
+    if (name in MATH_CONSTANTS) {
+      return MATH_CONSTANTS[name];
+    }
+    throw new Error(`Unknown name or symbol in the expression: ${token}`);
+  }
+
+  const value = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek()}" in the expression`);
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error("The result is not a finite number");
+  }
+  return value;
+}
+
+// Round away floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+function formatNumber(value) {
+  return String(Number(value.toPrecision(12)));
+}
+
+// Units by quantity, with their size in the first unit of the quantity.
+// Each unit is listed with the names it can be given by.
+const UNITS = {
+  length: [
+    [1, "m", "meter", "metre"],
+    [1000, "km", "kilometer", "kilometre"],
+    [0.01, "cm", "centimeter", "centimetre"],
+    [0.001, "mm", "millimeter", "millimetre"],
+    [1e-6, "µm", "um", "micrometer", "micrometre"],
+    [1609.344, "mi", "mile"],
+    [0.9144, "yd", "yard"],
+    [0.3048, "ft", "foot", "feet"],
+    [0.0254, "in", "inch", "inches"],
+    [1852, "nmi", "nautical mile"],
+  ],
+  mass: [
+    [1, "kg", "kilogram"],
+    [0.001, "g", "gram"],
+    [1e-6, "mg", "milligram"],
+    [1000, "t", "tonne", "metric ton"],
+    [0.45359237, "lb", "lbs", "pound"],
+    [0.028349523125, "oz", "ounce"],
+    [6.35029318, "st", "stone"],
+  ],
+  volume: [
+    [1, "l", "liter", "litre"],
+    [0.001, "ml", "milliliter", "millilitre"],
+    [0.01, "cl", "centiliter", "centilitre"],
+    [1000, "m3", "m³", "cubic meter", "cubic metre"],
+    [3.785411784, "gal", "gallon", "us gallon"],
+    [4.54609, "imperial gallon", "uk gallon"],
+    [0.946352946, "qt", "quart"],
+    [0.473176473, "pt", "pint"],
+    [0.2365882365, "cup"],
+    [0.0295735295625, "fl oz", "floz", "fluid ounce"],
+    [0.01478676478125, "tbsp", "tablespoon"],
+    [0.00492892159375, "tsp", "teaspoon"],
+  ],
+  area: [
+    [1, "m2", "m²", "square meter", "square metre"],
+    [1e6, "km2", "km²", "square kilometer", "square kilometre"],
+    [1e4, "ha", "hectare"],
+    [4046.8564224, "acre"],
+    [0.09290304, "ft2", "ft²", "sq ft", "square foot", "square feet"],
+    [2589988.110336, "mi2", "mi²", "sq mi", "square mile"],
+  ],
+  time: [
+    [1, "s", "sec", "second"],
+    [0.001, "ms", "millisecond"],
+    [60, "min", "minute"],
+    [3600, "h", "hr", "hour"],
+    [86400, "d", "day"],
+    [604800, "wk", "week"],
+    [31557600, "yr", "year"],
+  ],
+  speed: [
+    [1, "m/s", "meters per second", "metres per second"],
+    [1 / 3.6, "km/h", "kph", "kmh", "kilometers per hour", "kilometres per hour"],
+    [0.44704, "mph", "miles per hour"],
+    [0.514444, "kn", "kt", "knot"],
+  ],
+  data: [
+    [1, "b", "byte"],
+    [1e3, "kb", "kilobyte"],
+    [1e6, "mb", "megabyte"],
+    [1e9, "gb", "gigabyte"],
+    [1e12, "tb", "terabyte"],
+    [1024, "kib", "kibibyte"],
+    [1024 ** 2, "mib", "mebibyte"],
+    [1024 ** 3, "gib", "gibibyte"],
+    [1024 ** 4, "tib", "tebibyte"],
+  ],
+  energy: [
+    [1, "j", "joule"],
+    [1000, "kj", "kilojoule"],
+    [4.184, "cal", "calorie"],
+    [4184, "kcal", "kilocalorie"],
+    [3600, "wh", "watt hour"],
+    [3.6e6, "kwh", "kilowatt hour"],
+  ],
+};
+
+// Temperatures are not a factor apart, they are converted via Celsius
+const TEMPERATURES = {
+  celsius: { names: ["c", "°c", "celsius"], toCelsius: (v) => v, fromCelsius: (v) => v },
+  fahrenheit: { names: ["f", "°f", "fahrenheit"], toCelsius: (v) => ((v - 32) * 5) / 9, fromCelsius: (v) => (v * 9) / 5 + 32 },
+  kelvin: { names: ["k", "kelvin"], toCelsius: (v) => v - 273.15, fromCelsius: (v) => v + 273.15 },
+};
+
+// { quantity, factor } or { temperature } for a unit name, also in plural
+function findUnit(name) {
+  const normalized = name.trim().toLowerCase().replace(/\s+/g, " ").replace(/^degrees? /, "");
+  const candidates = [normalized, normalized.replace(/s$/, ""), normalized.replace(/es$/, "")];
+  for (const candidate of candidates) {
+    for (const [quantity, units] of Object.entries(UNITS)) {
+      const unit = units.find(([, ...names]) => names.some((unitName) => unitName.toLowerCase() === candidate));
+      if (unit) {
+        return { quantity, factor: unit[0] };
+      }
+    }
+    const temperature = Object.values(TEMPERATURES).find(({ names }) => names.includes(candidate));
+    if (temperature) {
+      return { quantity: "temperature", temperature };
+    }
+  }
+  throw new Error(`Unknown unit: ${name}`);
+}
+
+export function convertUnits(value, from, to) {
+  const source = findUnit(from);
+  const target = findUnit(to);
+  if (source.quantity !== target.quantity) {
+    throw new Error(`Cannot convert ${source.quantity} (${from}) to ${target.quantity} (${to})`);
+  }
+  if (source.quantity === "temperature") {
+    return target.temperature.fromCelsius(source.temperature.toCelsius(value));
+  }
+  return (value * source.factor) / target.factor;
+}
+
+/**
+ * The built-in tools. `parameters` is a JSON schema of the arguments, which
+ * the model sees in its chat template. `run(args, context)` returns the
+ * result, where `context` is { conversationId } of the chat being answered.
+ */
+export const TOOLS = [
+  {
+    name: "calculator",
+    title: "Calculator",
+    description:
+      "Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, " +
+      "sqrt, cbrt, abs, round, floor, ceil, exp, ln, log, log2, sin, cos, tan, asin, acos, atan, min, max, pow, pi and e.",
+    parameters: {
+      type: "object",
+      properties: {
+        expression: { type: "string", description: 'The expression, e.g. "(17.5 * 3) / sqrt(2)"' },
+      },
+      required: ["expression"],
+    },
+    run: ({ expression }) => formatNumber(evaluateExpression(String(expression))),
+  },
+  {
+    name: "get_current_time",
+    title: "Date and time",
+    description: "Get the current date, time and day of the week.",
+    parameters: {
+      type: "object",
+      properties: {
+        timezone: { type: "string", description: 'IANA time zone, e.g. "Europe/Berlin". Defaults to the user\'s time zone.' },
+      },
+      required: [],
+    },
+    run: ({ timezone }) => {
+      const timeZone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const now = new Date();
+      return JSON.stringify({
+        date: now.toLocaleDateString("en-US", { timeZone, weekday: "long", year: "numeric", month: "long", day: "numeric" }),
+        time: now.toLocaleTimeString("en-US", { timeZone, hour: "2-digit", minute: "2-digit", hour12: false }),
+        timezone: timeZone,
+      });
+    },
+  },
+  {
+    name: "convert_units",
+    title: "Unit conversion",
+    description:
+      "Convert a value between units of length, mass, volume, area, time, speed, data size, energy or temperature, " +
+      'e.g. from "mi" to "km" or from "F" to "C".',
+    parameters: {
+      type: "object",
+      properties: {
+        value: { type: "number", description: "The value to convert" },
+        from: { type: "string", description: 'The unit of the value, e.g. "lb"' },
+        to: { type: "string", description: 'The unit to convert to, e.g. "kg"' },
+      },
+      required: ["value", "from", "to"],
+    },
+    run: ({ value, from, to }) => {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        throw new Error(`Not a number: ${value}`);
+      }
+      return `${formatNumber(number)} ${from} = ${formatNumber(convertUnits(number, String(from), String(to)))} ${to}`;
+    },
+  },
+  {
+    name: "search_chats",
+    title: "Chat search",
+    description: "Search the user's earlier saved chats by keywords. Returns the best matching chats with an excerpt.",
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Keywords to look for" },
+      },
+      required: ["query"],
+    },
+    run: async ({ query }, { conversationId }) => {
+      const matches = await searchConversations(String(query ?? ""), { exclude: conversationId });
+      if (matches.length === 0) {
+        return "No saved chats match.";
+      }
+      return JSON.stringify(
+        matches.map(({ title, updatedAt, role, excerpt }) => ({
+          title,
+          date: new Date(updatedAt).toISOString().slice(0, 10),
+          ...(role && { from: role }),
+          excerpt,
+        })),
+      );
+    },
+  },
+];
+
+// Tool definitions in the format chat templates expect
+export const TOOL_SCHEMAS = TOOLS.map(({ name, description, parameters }) => ({
+  type: "function",
+  function: { name, description, parameters },
+}));
+
+export function getToolTitle(name) {
+  return TOOLS.find((tool) => tool.name === name)?.title ?? name;
+}
+
+// Run a tool the model called. Errors are reported to the model as the
+// result, so that it can correct the call or answer without the tool.
+export async function runTool({ name, arguments: args }, context) {
+  const tool = TOOLS.find((candidate) => candidate.name === name);
+  try {
+    if (!tool) {
+      throw new Error(`There is no tool named ${name}`);
+    }
+    const result = String(await tool.run(args, context));
+    return result.length > MAX_RESULT_LENGTH ? `${result.slice(0, MAX_RESULT_LENGTH)}…` : result;
+  } catch (error) {
+    return `Error: ${error.message}`;
+  }
+}
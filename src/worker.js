@@ -1,110 +1,671 @@
 import {
+  env,
+  pipeline,
   AutoTokenizer,
   AutoModelForCausalLM,
+  AutoProcessor,
+  AutoModelForVision2Seq,
+  RawImage,
   TextStreamer,
+  StoppingCriteria,
   InterruptableStoppingCriteria,
 } from "@huggingface/transformers";
 
+import { AUXILIARY_MODELS, findModel, getModelDtype, validateModelEntry } from "./modelRegistry";
+import { isLocalModel, getLocalModelFiles } from "./utils/localModels";
+import { MODEL_CACHE_NAME, getFileUrl, getModelFiles } from "./utils/modelCache";
+import { TOOL_SCHEMAS, runTool } from "./utils/tools";
+import {
+  TOOL_CALL_START,
+  expandToolCalls,
+  findToolCalls,
+  formatToolCall,
+  formatToolResponse,
+  removeToolCalls,
+} from "./utils/toolCalls";
+import { isThinking, removeThinkBlocks } from "./utils/thinkBlocks";
+
+// Serve the ONNX Runtime WebAssembly files from the app itself instead of
+// a CDN, so that models also run on the CPU offline
+import ortWasmUrl from "../node_modules/@huggingface/transformers/dist/ort-wasm-simd-threaded.jsep.wasm?url";
+import ortMjsUrl from "../node_modules/@huggingface/transformers/dist/ort-wasm-simd-threaded.jsep.mjs?url";
+
+// Files transformers.js may ask for but does without
+const OPTIONAL_LOCAL_FILES = {
+  "generation_config.json": "{}",
+};
+
+/**
+ * Serves the files of models picked from a local folder (kept in IndexedDB)
+ * to transformers.js, so that they load without any network access.
+ * Everything else goes through the browser cache as before.
+ */
+class LocalModelCache {
+  model_id = null;
+  files = new Map();
+  browser_cache = null;
+
+  setLocalModel(model_id, files) {
+    this.model_id = model_id;
+    this.files = new Map(files.map(({ path, file }) => [path, file]));
+  }
+
+  async openBrowserCache() {
+    try {
+      this.browser_cache ??= await caches.open(MODEL_CACHE_NAME);
+    } catch (e) {
+      console.warn("An error occurred while opening the browser cache:", e);
+    }
+    return this.browser_cache;
+  }
+
+  async match(key) {
+    const prefix = `${this.model_id}/`;
+    if (this.model_id !== null && key.startsWith(prefix)) {
+      const path = key.slice(prefix.length);
+      const file = this.files.get(path);
+      if (file) {
+        return new Response(file, { headers: { "Content-Length": String(file.size) } });
+      }
+      if (path in OPTIONAL_LOCAL_FILES) {
+        return new Response(OPTIONAL_LOCAL_FILES[path]);
+      }
+      // transformers.js reports the missing file and does not try to download it
+      return undefined;
+    }
+    return (await this.openBrowserCache())?.match(key);
+  }
+
+  async put(key, response) {
+    await (await this.openBrowserCache())?.put(key, response);
+  }
+}
+
+const local_model_cache = new LocalModelCache();
+env.useCustomCache = true;
+env.customCache = local_model_cache;
+env.backends.onnx.wasm.wasmPaths = { wasm: ortWasmUrl, mjs: ortMjsUrl };
+
 /**
  * This class uses the Singleton pattern to enable lazy-loading of the pipeline
  */
 class TextGenerationPipeline {
   static current_model_id = null;
+  static current_device = null;
   static tokenizer = null;
+  static processor = null; // Only for vision models, see isVisionModel()
   static model = null;
+  static supports_system_role = null;
+  static model_entry = null;
 
-  static getModelConfig(model_id) {
-    const configs = {
-      "onnx-community/Llama-3.2-1B-Instruct-q4f16": {
-        dtype: "q4f16",
-        device: "webgpu",
-      },
-      "onnx-community/Llama-3.2-3B-Instruct-onnx-web-gqa": {
-        dtype: "q4f16",
-        device: "webgpu",
-      },
-      "onnx-community/Phi-3.5-mini-instruct-onnx-web": {
-        dtype: "q4f16",
-        device: "webgpu",
-        use_external_data_format: true,
-      },
-      "HuggingFaceTB/SmolLM2-1.7B-Instruct": {
-        dtype: "q4f16",
-        device: "webgpu",
-      },
-      "onnx-community/Qwen3-0.6B-ONNX": {
-        dtype: "q4f16",
-        device: "webgpu",
-      },
-      "onnx-community/DeepSeek-R1-Distill-Qwen-1.5B-ONNX": {
-        dtype: "q4f16",
-        device: "webgpu",
-      }
-    };
-    
-    if (!configs[model_id]) {
+  // Built-in models come from the registry. Custom models are not known to
+  // the worker, so the main thread sends their registry entry along.
+  static findModelEntry(model_id, model_config) {
+    const model = findModel(model_id) ??
+      (model_config?.url === model_id && validateModelEntry(model_config).length === 0 ? model_config : null);
+    if (!model) {
       throw new Error(`Unsupported model: ${model_id}`);
     }
-    
-    return configs[model_id];
+    return model;
   }
 
-  static async getInstance(model_id, progress_callback = null) {
-    // If model has changed, clear cache
-    if (this.current_model_id !== model_id) {
+  // Without WebGPU, models run on the CPU with their WASM weights
+  static getModelConfig(model, device) {
+    const { use_external_data_format } = model;
+    const dtype = getModelDtype(model, device);
+    return { dtype, device, ...(use_external_data_format && { use_external_data_format }) };
+  }
+
+  // `device` is picked by the main thread when loading. Later calls leave it
+  // out to use the model that is already loaded.
+  static async getInstance(model_id, progress_callback = null, model_config = null, device = null) {
+    // If model or device has changed, clear cache
+    if (this.current_model_id !== model_id || (device && device !== this.current_device)) {
+      const model_entry = this.findModelEntry(model_id, model_config);
+      device ??= model_entry.device;
+      if (device !== model_entry.device && !model_entry.wasm) {
+        throw new Error(`${model_entry.name} has no weights for ${device}`);
+      }
+      if (isLocalModel(model_id)) {
+        const files = await getLocalModelFiles(model_id);
+        if (!files) {
+          throw new Error(`Unsupported model: the files of ${model_entry.name} are no longer stored in this browser`);
+        }
+        local_model_cache.setLocalModel(model_id, files);
+      }
+
+      clearKVCache();
       this.tokenizer = null;
+      this.processor = null;
       this.model = null;
+      this.supports_system_role = null;
+      this.model_entry = model_entry;
       this.current_model_id = model_id;
+      this.current_device = device;
     }
 
-    const config = this.getModelConfig(model_id);
+    const config = this.getModelConfig(this.model_entry, this.current_device);
 
-    this.tokenizer ??= AutoTokenizer.from_pretrained(model_id, {
-      progress_callback,
-    });
+    // Vision models come with a processor that prepares images and holds
+    // the tokenizer
+    if (this.isVisionModel()) {
+      this.processor ??= AutoProcessor.from_pretrained(model_id, { progress_callback });
+      this.tokenizer ??= this.processor.then((processor) => processor.tokenizer);
+      this.model ??= AutoModelForVision2Seq.from_pretrained(model_id, {
+        ...config,
+        progress_callback,
+      });
+    } else {
+      this.tokenizer ??= AutoTokenizer.from_pretrained(model_id, {
+        progress_callback,
+      });
 
-    this.model ??= AutoModelForCausalLM.from_pretrained(model_id, {
-      ...config,
-      progress_callback,
-    });
+      this.model ??= AutoModelForCausalLM.from_pretrained(model_id, {
+        ...config,
+        progress_callback,
+      });
+    }
 
     return Promise.all([this.tokenizer, this.model]);
   }
+
+  // Free the loaded model, so that the next getInstance() loads it again
+  static async unload() {
+    const model = await this.model?.catch(() => null);
+    clearKVCache();
+    this.tokenizer = null;
+    this.processor = null;
+    this.model = null;
+    this.current_model_id = null;
+    await model?.dispose();
+  }
+
+  static isVisionModel() {
+    return this.model_entry?.features.vision ?? false;
+  }
+
+  static supportsTools() {
+    return this.model_entry?.features.tools ?? false;
+  }
+
+  // Built-in models declare whether they take a system role. Otherwise, as
+  // some chat templates reject the system role or silently drop it, render a
+  // probe conversation once per model and check the prompt survives.
+  static supportsSystemRole(tokenizer) {
+    this.supports_system_role ??= this.model_entry?.features.systemRole ?? null;
+    if (this.supports_system_role === null) {
+      const marker = "<<system-role-probe>>";
+      try {
+        const rendered = tokenizer.apply_chat_template(
+          [
+            { role: "system", content: marker },
+            { role: "user", content: "Hello" },
+          ],
+          { tokenize: false, add_generation_prompt: true },
+        );
+        this.supports_system_role = rendered.includes(marker);
+      } catch {
+        this.supports_system_role = false;
+      }
+    }
+    return this.supports_system_role;
+  }
+
+  // Extra variables the model's chat template is rendered with. Models with
+  // the "template" thinking switch get `enable_thinking` from the generation
+  // config when one is given.
+  static getChatTemplateKwargs(generation_config = null) {
+    const kwargs = this.model_entry?.chatTemplate ?? {};
+    if (this.model_entry?.thinkingSwitch === "template" && generation_config) {
+      return { ...kwargs, enable_thinking: generation_config.thinking };
+    }
+    return kwargs;
+  }
 }
 
-const stopping_criteria = new InterruptableStoppingCriteria();
+// Small sentence embedding model for the document library. It runs on the
+// CPU so that it does not compete with the chat model for GPU memory.
+const EMBEDDING_BATCH_SIZE = 16;
+
+class EmbeddingPipeline {
+  static instance = null;
+
+  static getInstance() {
+    const { url, dtype } = AUXILIARY_MODELS.embedding;
+    this.instance ??= pipeline("feature-extraction", url, { device: "wasm", dtype })
+      .catch((error) => {
+        // Allow a later request to try again, e.g. once back online
+        this.instance = null;
+        throw error;
+      });
+    return this.instance;
+  }
+}
+
+// Embed `texts` for the document library, see utils/documents.js. Replies
+// carry the request `id` as several requests can be running at once.
+async function embed(id, texts) {
+  try {
+    const extractor = await EmbeddingPipeline.getInstance();
+    const embeddings = [];
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+      const output = await extractor(texts.slice(i, i + EMBEDDING_BATCH_SIZE), { pooling: "mean", normalize: true });
+      embeddings.push(...output.tolist().map((vector) => new Float32Array(vector)));
+      self.postMessage({ status: "embed_progress", id, done: embeddings.length, total: texts.length });
+    }
+    self.postMessage({ status: "embed_complete", id, embeddings });
+  } catch (error) {
+    self.postMessage({ status: "embed_error", id, data: error.toString() });
+  }
+}
+
+// Prepend the system prompt, or fold it into the first user turn for models
+// whose chat template has no system role.
+function withSystemPrompt(messages, system_prompt, supportsSystemRole) {
+  if (!system_prompt) {
+    return messages;
+  }
+  if (supportsSystemRole) {
+    return [{ role: "system", content: system_prompt }, ...messages];
+  }
+
+  const firstUserIndex = messages.findIndex((message) => message.role === "user");
+  return messages.map((message, i) =>
+    i === firstUserIndex
+      ? { ...message, content: `${system_prompt}\n\n${message.content}` }
+      : message,
+  );
+}
+
+// Models with the "prompt" thinking switch are told in the user messages
+// whether to think. It goes into every user message, not only the latest,
+// so that earlier turns stay the same and the KV cache can be reused.
+function withThinkingSwitch(messages, thinking) {
+  if (TextGenerationPipeline.model_entry?.thinkingSwitch !== "prompt") {
+    return messages;
+  }
+  const command = thinking ? "/think" : "/no_think";
+  return messages.map((message) =>
+    message.role === "user" ? { ...message, content: `${message.content} ${command}` } : message,
+  );
+}
+
+const SUMMARY_MAX_NEW_TOKENS = 256;
+const SUMMARY_MESSAGE_MAX_CHARS = 2000;
+
+/**
+ * Messages as the model's chat template takes them. Tool calls in answers
+ * become messages of their own for models that know tools (see
+ * utils/toolCalls.js), other models get the answers without them. Vision
+ * models' chat templates take the content of a message as a list of parts:
+ * an image placeholder for each of its images, then the text. The images
+ * themselves go to the processor, see tokenizePrompt().
+ */
+function toTemplateChat(chat) {
+  if (TextGenerationPipeline.supportsTools()) {
+    return expandToolCalls(chat);
+  }
+  const messages = chat.map((message) =>
+    message.role === "assistant" && message.content.includes(TOOL_CALL_START)
+      ? { ...message, content: removeToolCalls(message.content) }
+      : message,
+  );
+  if (!TextGenerationPipeline.isVisionModel()) {
+    return messages;
+  }
+  return messages.map(({ role, content, images = [] }) => ({
+    role,
+    content: [...images.map(() => ({ type: "image" })), { type: "text", text: content }],
+  }));
+}
+
+function countTokens(tokenizer, chat, tools, generation_config = null) {
+  return tokenizer.apply_chat_template(toTemplateChat(chat), {
+    ...TextGenerationPipeline.getChatTemplateKwargs(generation_config),
+    ...(tools && { tools }),
+    add_generation_prompt: true,
+    return_tensor: false,
+  }).length;
+}
+
+function buildChat(messages, system_prompt, summary, supportsSystemRole) {
+  const prompt = [
+    system_prompt,
+    summary && `Summary of the earlier conversation:\n${summary}`,
+  ].filter(Boolean).join("\n\n");
+  return withSystemPrompt(messages, prompt || null, supportsSystemRole);
+}
+
+// Condense older turns (and the previous summary, if any) with the loaded model
+async function summarize(tokenizer, model, messages, previous_summary) {
+  self.postMessage({ status: "summarizing" });
 
-let past_key_values_cache = null;
-async function generate(messages, model_id) {
-  // Retrieve the text-generation pipeline.
-  const [tokenizer, model] = await TextGenerationPipeline.getInstance(model_id);
+  const transcript = messages
+    .map(({ role, content }) => {
+      const text = removeThinkBlocks(removeToolCalls(content));
+      return `${role === "user" ? "User" : "Assistant"}: ${text.slice(0, SUMMARY_MESSAGE_MAX_CHARS)}`;
+    })
+    .join("\n\n");
+  const request = [
+    "Summarize the following conversation in a short paragraph.",
+    "Keep names, facts, decisions and open questions. Reply with the summary only.",
+    previous_summary && `\nSummary of what came before:\n${previous_summary}`,
+    `\nConversation:\n${transcript}`,
+  ].filter(Boolean).join("\n");
 
-  const inputs = tokenizer.apply_chat_template(messages, {
+  const inputs = tokenizer.apply_chat_template(toTemplateChat([{ role: "user", content: request }]), {
     add_generation_prompt: true,
     return_dict: true,
   });
+  const sequences = await model.generate({
+    ...inputs,
+    do_sample: false,
+    max_new_tokens: SUMMARY_MAX_NEW_TOKENS,
+  });
+  const [summary] = tokenizer.batch_decode(sequences.slice(null, [inputs.input_ids.dims[1], null]), {
+    skip_special_tokens: true,
+  });
+  return removeThinkBlocks(summary);
+}
+
+/**
+ * Drop (and optionally summarize) the oldest turns until the prompt leaves
+ * room for `max_new_tokens` in the context window. Returns the chat to send
+ * to the model, the index of the first message that is still included and
+ * the rolling summary of everything before it.
+ */
+async function fitContext(tokenizer, model, messages, {
+  system_prompt,
+  summary,
+  context_size,
+  generation_config,
+  tools,
+}) {
+  const { context_strategy, context_turns, max_new_tokens } = generation_config;
+  const supportsSystemRole = TextGenerationPipeline.supportsSystemRole(tokenizer);
+  const budget = context_size - max_new_tokens;
+
+  // Turns start at user messages, and the latest turn is always kept
+  const turnStarts = messages.flatMap((message, i) => (message.role === "user" ? [i] : []));
+  const lastTurn = turnStarts.at(-1) ?? 0;
+  const nextTurn = (index) => turnStarts.find((i) => i > index) ?? lastTurn;
+
+  let start = 0;
+  if (context_strategy === "last-turns") {
+    start = turnStarts.at(-context_turns) ?? 0;
+  }
+
+  // A summary is only valid while it covers messages that still exist
+  let current = context_strategy === "summarize" && summary?.upTo <= lastTurn ? summary : null;
+  start = Math.max(start, current?.upTo ?? 0);
+
+  const fits = (index) =>
+    countTokens(tokenizer, buildChat(messages.slice(index), system_prompt, current?.content, supportsSystemRole), tools, generation_config) <= budget;
+
+  while (true) {
+    while (start < lastTurn && !fits(start)) {
+      start = nextTurn(start);
+    }
+    if (context_strategy !== "summarize" || start <= (current?.upTo ?? 0)) {
+      break;
+    }
+    // Fold the newly dropped turns into the summary. The summary takes up
+    // room as well, so check again whether everything fits now.
+    current = {
+      content: await summarize(tokenizer, model, messages.slice(current?.upTo ?? 0, start), current?.content),
+      upTo: start,
+    };
+  }
+
+  return {
+    chat: buildChat(messages.slice(start), system_prompt, current?.content, supportsSystemRole),
+    start,
+    summary: current,
+  };
+}
+
+/**
+ * Stops generation once the generated text contains one of the user's stop sequences
+ */
+class StopSequenceCriteria extends StoppingCriteria {
+  constructor(tokenizer, stop, prompt_length) {
+    super();
+    this.tokenizer = tokenizer;
+    this.stop = stop;
+    this.prompt_length = prompt_length;
+    // A stop sequence of n characters spans at most n tokens
+    this.window = Math.max(...stop.map((sequence) => sequence.length)) + 1;
+    this.matched = null;
+  }
+
+  _call(input_ids) {
+    return input_ids.map((ids) => {
+      const generated = ids.slice(Math.max(this.prompt_length, ids.length - this.window));
+      const text = this.tokenizer.decode(generated, { skip_special_tokens: true });
+      this.matched ??= this.stop.find((sequence) => text.includes(sequence)) ?? null;
+      return this.matched !== null;
+    });
+  }
+}
+
+/**
+ * Stops generation once the answer has spent `budget` tokens on thinking
+ * while still inside a <think> block. generate() then closes the block
+ * itself and lets the model go on with the answer.
+ */
+class ThinkingBudgetCriteria extends StoppingCriteria {
+  constructor(stats, budget) {
+    super();
+    this.stats = stats;
+    this.budget = budget;
+    this.reached = false;
+  }
+
+  _call(input_ids) {
+    const spent = this.stats.thinking.reduce((total, { numTokens }) => total + numTokens, 0);
+    this.reached ||= this.stats.thinkingBlock !== null && spent >= this.budget;
+    return input_ids.map(() => this.reached);
+  }
+}
+
+// Small seedable PRNG (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Translate the app's generation config into model.generate() options
+function toGenerateOptions({ temperature, top_p, top_k, repetition_penalty, max_new_tokens }) {
+  const do_sample = temperature > 0;
+  return {
+    do_sample,
+    ...(do_sample && { temperature, top_p, top_k }),
+    repetition_penalty,
+    max_new_tokens,
+  };
+}
+
+const stopping_criteria = new InterruptableStoppingCriteria();
+
+// Key/value cache of the previous turn together with the tokens it covers.
+// It can be reused whenever the next prompt starts with exactly those tokens,
+// which saves re-running prefill over the whole conversation.
+let kv_cache = null;
+
+function clearKVCache() {
+  if (kv_cache) {
+    for (const tensor of Object.values(kv_cache.past_key_values)) {
+      if (tensor.location === "gpu-buffer") {
+        tensor.dispose();
+      }
+    }
+  }
+  kv_cache = null;
+}
+
+// Take the cache if it covers a prefix of `input_ids`, otherwise drop it
+function takeKVCache(input_ids) {
+  const cached = kv_cache;
+  const isPrefix =
+    cached !== null &&
+    cached.token_ids.length < input_ids.length &&
+    cached.token_ids.every((token, i) => token === input_ids[i]);
+
+  if (!isPrefix) {
+    clearKVCache();
+    return null;
+  }
+  // generate() disposes the tensors it is given, so hand over ownership
+  kv_cache = null;
+  return cached;
+}
+/**
+ * Tokenize the prompt for `chat`. With `continuation` the last message is an
+ * unfinished answer: the prompt then ends with that answer instead of an
+ * empty assistant turn, so the model keeps writing where it stopped.
+ */
+async function tokenizePrompt(tokenizer, chat, continuation, tools, generation_config = null) {
+  const options = {
+    ...TextGenerationPipeline.getChatTemplateKwargs(generation_config),
+    ...(tools && { tools }),
+    add_generation_prompt: true,
+  };
+  if (TextGenerationPipeline.isVisionModel()) {
+    return processPrompt(tokenizer, chat, continuation, options);
+  }
+  chat = toTemplateChat(chat);
+  if (!continuation) {
+    return tokenizer.apply_chat_template(chat, { ...options, return_dict: true });
+  }
+
+  const prompt = tokenizer.apply_chat_template(chat.slice(0, -1), { ...options, tokenize: false });
+  // The chat template already added the special tokens
+  return tokenizer(prompt + chat.at(-1).content, { add_special_tokens: false });
+}
+
+// tokenizePrompt() for vision models: the processor expands each image
+// placeholder into the image's tokens and prepares its pixels
+async function processPrompt(tokenizer, chat, continuation, options) {
+  const templateChat = toTemplateChat(continuation ? chat.slice(0, -1) : chat);
+  let prompt = tokenizer.apply_chat_template(templateChat, { ...options, tokenize: false });
+  if (continuation) {
+    prompt += chat.at(-1).content;
+  }
+
+  // A broken or unsupported image fails the answer with an error that says
+  // so, which generate() reports to the main thread
+  const images = await Promise.all(
+    chat.flatMap(({ images = [] }) => images).map((url, i) =>
+      RawImage.read(url).catch((error) => {
+        throw new Error(`Could not read image ${i + 1} of the conversation: ${error.message ?? error}`);
+      }),
+    ),
+  );
+  if (images.length === 0) {
+    return tokenizer(prompt);
+  }
+  const processor = await TextGenerationPipeline.processor;
+  try {
+    // One tile per image keeps the prompt short enough for the browser
+    return await processor(prompt, images, { do_image_splitting: false });
+  } catch (error) {
+    throw new Error(`Could not prepare the images for the model: ${error.message ?? error}`);
+  }
+}
+
+/**
+ * Why generation ended: "interrupted" by the user, "length" when it ran into
+ * max_new_tokens before the model was done, and "stop" otherwise (end of
+ * turn token or one of the stop sequences).
+ */
+function getFinishReason(model, generated_ids, max_new_tokens, stop_sequence) {
+  if (stopping_criteria.interrupted) {
+    return "interrupted";
+  }
+  if (stop_sequence !== null) {
+    return "stop";
+  }
+  const eos_token_ids = [model.generation_config?.eos_token_id ?? model.config.eos_token_id].flat();
+  const last = Number(generated_ids.at(-1));
+  return generated_ids.length >= max_new_tokens && !eos_token_ids.includes(last) ? "length" : "stop";
+}
+
+// Rounds of tool calls in one answer, so that a model that keeps calling
+// tools still comes to an end
+const MAX_TOOL_ROUNDS = 5;
+
+/**
+ * How much of the text generated so far in a round can be shown while tools
+ * are enabled. Tool calls are held back until they are complete, so that
+ * they can be run and shown in the app's format (see utils/toolCalls.js):
+ * everything from <tool_call> on, a trailing start of it, and text that
+ * starts like a JSON call.
+ */
+function getVisibleLength(text) {
+  if (text.trimStart().startsWith("{")) {
+    return 0;
+  }
+  const index = text.indexOf(TOOL_CALL_START);
+  if (index !== -1) {
+    return index;
+  }
+  for (let length = Math.min(text.length, TOOL_CALL_START.length - 1); length > 0; length--) {
+    if (TOOL_CALL_START.startsWith(text.slice(-length))) {
+      return text.length - length;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Generate one stretch of an answer: until the model is done or has called
+ * tools. The text is streamed to the main thread through `output(text)`,
+ * with tool calls held back if `tools` are given. Resolves with the text,
+ * how much of it was shown and what getFinishReason() needs.
+ */
+async function generateRound(tokenizer, model, chat, { continuation, generation_config, tools, stats, output }) {
+  const inputs = await tokenizePrompt(tokenizer, chat, continuation, tools, generation_config);
 
   // Calculate input token count for context tracking
   const inputTokenCount = inputs.input_ids.dims[1]; // Get the sequence length
 
+  // The cache of a vision model does not know which image its tokens came
+  // from, so it is only reused for text models
+  const cached = TextGenerationPipeline.isVisionModel() ? (clearKVCache(), null) : takeKVCache(inputs.input_ids.tolist()[0]);
+  stats.cache = {
+    hit: cached !== null,
+    reusedTokens: cached?.token_ids.length ?? 0,
+    promptTokens: inputTokenCount,
+  };
+
   let startTime;
-  let numTokens = 0;
-  let tps;
+  let roundTokens = 0;
   const token_callback_function = () => {
     startTime ??= performance.now();
+    stats.firstTokenTime ??= startTime;
+    stats.numTokens++;
+    if (stats.thinkingBlock) {
+      stats.thinkingBlock.entry.numTokens++;
+    }
 
-    if (numTokens++ > 0) {
-      tps = (numTokens / (performance.now() - startTime)) * 1000;
+    if (roundTokens++ > 0) {
+      stats.tps = (roundTokens / (performance.now() - startTime)) * 1000;
     }
   };
-  const callback_function = (output) => {
-    self.postMessage({
-      status: "update",
-      output,
-      tps,
-      numTokens,
-      contextTokens: inputTokenCount + numTokens, // Total tokens used in context
-    });
+  let text = "";
+  let shown = 0;
+  const callback_function = (chunk) => {
+    text += chunk;
+    stats.contextTokens = inputTokenCount + roundTokens; // Total tokens used in context
+    const visible = tools ? getVisibleLength(text) : text.length;
+    output(text.slice(shown, visible));
+    shown = Math.max(shown, visible);
   };
 
   const streamer = new TextStreamer(tokenizer, {
@@ -114,50 +675,297 @@ async function generate(messages, model_id) {
     token_callback_function,
   });
 
-  // Tell the main thread we are starting
-  self.postMessage({ status: "start" });
+  const criteria = [stopping_criteria];
+  let stop_criteria = null;
+  if (generation_config.stop.length > 0) {
+    stop_criteria = new StopSequenceCriteria(tokenizer, generation_config.stop, inputTokenCount);
+    criteria.push(stop_criteria);
+  }
+  let budget_criteria = null;
+  if (generation_config.thinking_budget !== null && stats.thinking) {
+    budget_criteria = new ThinkingBudgetCriteria(stats, generation_config.thinking_budget);
+    criteria.push(budget_criteria);
+  }
 
   const { past_key_values, sequences } = await model.generate({
     ...inputs,
-    // TODO: Add when model is fixed
-    // past_key_values: past_key_values_cache,
+    past_key_values: cached?.past_key_values ?? null,
 
-    // Sampling
-    do_sample: false,
-
-    max_new_tokens: 1024,
+    ...toGenerateOptions(generation_config),
     streamer,
-    stopping_criteria,
+    stopping_criteria: criteria,
     return_dict_in_generate: true,
   });
-  // past_key_values_cache = past_key_values;
 
-  const decoded = tokenizer.batch_decode(sequences, {
-    skip_special_tokens: true,
-  });
+  // The last generated token has not been run through the model yet, so the
+  // cache covers everything but that one.
+  const token_ids = sequences.tolist()[0];
+  kv_cache = {
+    past_key_values,
+    token_ids: token_ids.slice(0, -1),
+  };
 
-  // Send the output back to the main thread
-  self.postMessage({
-    status: "complete",
-    output: decoded,
-  });
+  return {
+    text,
+    shown,
+    decoded: tokenizer.batch_decode(sequences, { skip_special_tokens: true }),
+    generated_ids: token_ids.slice(inputTokenCount),
+    stop_sequence: stop_criteria?.matched ?? null,
+    thinking_budget_reached: budget_criteria?.reached ?? false,
+  };
 }
 
-async function check() {
+// Ends a <think> block that ran out of its thinking budget
+const THINKING_BUDGET_END = "\n</think>\n\n";
+
+/**
+ * Answer the conversation. With `tools`, the model may call the built-in
+ * tools (see utils/tools.js): each call is run and its result added to the
+ * answer, then the model goes on writing, until it answers without calling
+ * a tool. Reasoning models that use up `thinking_budget` get their <think>
+ * block closed for them and go on with the answer in the same way.
+ */
+async function generate(messages, model_id, {
+  system_prompt,
+  generation_config,
+  context_size,
+  summary,
+  continuation,
+  tools,
+  conversation_id,
+  thinking_stats,
+}) {
   try {
-    const adapter = await navigator.gpu.requestAdapter();
-    if (!adapter) {
-      throw new Error("WebGPU is not supported (no adapter found)");
+    // Retrieve the text-generation pipeline.
+    const [tokenizer, model] = await TextGenerationPipeline.getInstance(model_id);
+    const tool_schemas = tools && TextGenerationPipeline.supportsTools() ? TOOL_SCHEMAS : null;
+
+    const context = await fitContext(tokenizer, model, withThinkingSwitch(messages, generation_config.thinking), {
+      system_prompt,
+      summary,
+      context_size,
+      generation_config,
+      tools: tool_schemas,
+    });
+
+    // Later rounds continue the answer after the results of its tool calls
+    const prompt_chat = continuation ? context.chat.slice(0, -1) : context.chat;
+    let answer = continuation ? context.chat.at(-1).content : "";
+
+    const stats = {
+      tps: undefined,
+      numTokens: 0,
+      contextTokens: 0,
+      cache: null,
+      firstTokenTime: null,
+      // Time and tokens of each <think> block of the answer, see ThinkBlock.
+      // A continued answer goes on with those of the part before.
+      thinking: (thinking_stats ?? []).map((entry) => ({ ...entry })),
+      thinkingBlock: null, // The <think> block being written: { entry, start }
+    };
+    const trackThinking = () => {
+      // One entry for each block, also for those that arrived in one piece
+      const blocks = answer.split("<think>").length - 1;
+      while (stats.thinking.length < blocks) {
+        stats.thinking.push({ durationMs: 0, numTokens: 0 });
+      }
+      const thinking = isThinking(answer);
+      if (thinking && !stats.thinkingBlock) {
+        // A block of a continued answer goes on from where it stopped
+        const entry = stats.thinking.at(-1);
+        stats.thinkingBlock = { entry, start: performance.now() - entry.durationMs };
+      }
+      if (stats.thinkingBlock) {
+        stats.thinkingBlock.entry.durationMs = performance.now() - stats.thinkingBlock.start;
+        if (!thinking) {
+          stats.thinkingBlock = null;
+        }
+      }
+    };
+    trackThinking();
+
+    const output = (text) => {
+      answer += text;
+      trackThinking();
+      const { tps, numTokens, contextTokens, cache, thinking } = stats;
+      self.postMessage({ status: "update", output: text, tps, numTokens, contextTokens, cache, thinking });
+    };
+
+    // Tell the main thread we are starting, along with the model and the exact
+    // parameters so that the answer can be reproduced later.
+    const start_time = performance.now();
+    self.postMessage({
+      status: "start",
+      model_id,
+      generation_config,
+      context: { start: context.start, summary: context.summary },
+      continuation,
+    });
+
+    // Sampling draws from Math.random, so swap in a seeded generator for the
+    // duration of this call when a seed is given.
+    const random = Math.random;
+    if (generation_config.seed !== null) {
+      Math.random = createRandom(generation_config.seed);
     }
-  } catch (e) {
+
+    // The budget is spent once the model was made to stop thinking
+    let thinking_budget = generation_config.thinking_budget;
+    let round, max_new_tokens, finish_reason;
+    let tool_calls = 0;
+    try {
+      for (let index = 0; ; index++) {
+        // All rounds together stay within max_new_tokens
+        max_new_tokens = generation_config.max_new_tokens - stats.numTokens;
+        const chat = index === 0 && !continuation ? prompt_chat : [...prompt_chat, { role: "assistant", content: answer }];
+        try {
+          round = await generateRound(tokenizer, model, chat, {
+            continuation: continuation || index > 0,
+            generation_config: { ...generation_config, max_new_tokens, thinking_budget },
+            tools: tool_schemas,
+            stats,
+            output,
+          });
+        } catch (error) {
+          // e.g. the chat template rejects the tool results. runTool() only
+          // catches errors of the tools themselves.
+          if (tool_calls === 0) throw error;
+          throw new Error(`Could not go on with the answer after its tool calls: ${error.message ?? error}`);
+        }
+
+        if (round.thinking_budget_reached && !stopping_criteria.interrupted && round.stop_sequence === null) {
+          output(round.text.slice(round.shown));
+          output(THINKING_BUDGET_END);
+          thinking_budget = null;
+          if (stats.numTokens >= generation_config.max_new_tokens) {
+            finish_reason = "length";
+            break;
+          }
+          continue;
+        }
+
+        const found = tool_schemas && !stopping_criteria.interrupted && round.stop_sequence === null
+          ? findToolCalls(round.text)
+          : null;
+        if (!found) {
+          // What was held back was not a tool call after all
+          output(round.text.slice(round.shown));
+          break;
+        }
+
+        output(round.text.slice(round.shown, Math.max(round.shown, found.index)));
+        for (const call of found.calls) {
+          tool_calls++;
+          output(formatToolCall(call));
+          output(formatToolResponse(await runTool(call, { conversationId: conversation_id })));
+        }
+
+        if (stopping_criteria.interrupted) {
+          finish_reason = "interrupted";
+          break;
+        }
+        // Out of tokens or rounds: the answer can still be continued
+        if (index + 1 >= MAX_TOOL_ROUNDS || stats.numTokens >= generation_config.max_new_tokens) {
+          finish_reason = "length";
+          break;
+        }
+      }
+    } finally {
+      Math.random = random;
+    }
+
+    // Send the output back to the main thread, with statistics that are kept
+    // with the answer
+    const end_time = performance.now();
     self.postMessage({
-      status: "error",
-      data: e.toString(),
+      status: "complete",
+      output: round.decoded,
+      stop_sequence: round.stop_sequence,
+      finish_reason: finish_reason ?? getFinishReason(
+        model,
+        round.generated_ids,
+        max_new_tokens,
+        round.stop_sequence,
+      ),
+      continuation,
+      stats: {
+        ttftMs: stats.firstTokenTime === null ? null : stats.firstTokenTime - start_time,
+        durationMs: end_time - start_time,
+        numTokens: stats.numTokens,
+        tps: stats.tps ?? null,
+        contextTokens: stats.contextTokens,
+      },
     });
+  } catch (error) {
+    // Whatever goes wrong, the main thread has to learn that the answer has
+    // ended, or it keeps waiting for it
+    self.postMessage({ status: "error", data: error.toString() });
+  }
+}
+
+/**
+ * Answer one prompt with several models, one after the other, for the
+ * compare mode. Only one model fits into memory at a time, so each run swaps
+ * the pipeline over to its model. Replies carry the `index` of the run.
+ */
+async function compare(messages, runs) {
+  for (const [index, { model_id, device, generation_config }] of runs.entries()) {
+    if (stopping_criteria.interrupted) {
+      self.postMessage({ status: "compare_complete", index, stop_sequence: null, finish_reason: "interrupted" });
+      continue;
+    }
+
+    const random = Math.random;
+    try {
+      self.postMessage({ status: "compare_loading", index });
+      const [tokenizer, model] = await TextGenerationPipeline.getInstance(model_id, (x) => {
+        if (x.status === "progress") {
+          self.postMessage({ status: "compare_progress", index, file: x.file, progress: x.progress });
+        }
+      }, null, device);
+
+      self.postMessage({ status: "compare_start", index, generation_config });
+      if (generation_config.seed !== null) {
+        Math.random = createRandom(generation_config.seed);
+      }
+      const stats = { tps: undefined, numTokens: 0, contextTokens: 0, cache: null };
+      const round = await generateRound(tokenizer, model, messages, {
+        continuation: false,
+        generation_config,
+        tools: null,
+        stats,
+        output: (text) => {
+          self.postMessage({ status: "compare_update", index, output: text, tps: stats.tps, numTokens: stats.numTokens });
+        },
+      });
+
+      self.postMessage({
+        status: "compare_complete",
+        index,
+        stop_sequence: round.stop_sequence,
+        finish_reason: getFinishReason(model, round.generated_ids, generation_config.max_new_tokens, round.stop_sequence),
+      });
+    } catch (error) {
+      self.postMessage({ status: "compare_error", index, data: error.toString() });
+    } finally {
+      Math.random = random;
+    }
   }
 }
 
-async function load(model_id) {
+// Count the tokens of attached files with the loaded model's tokenizer.
+// Without a loaded model the main thread keeps its estimates.
+async function countAttachmentTokens(attachments) {
+  const tokenizer = await TextGenerationPipeline.tokenizer?.catch(() => null);
+  if (!tokenizer) return;
+
+  self.postMessage({
+    status: "token_count",
+    counts: attachments.map(({ id, content }) => ({ id, tokens: tokenizer.encode(content).length })),
+  });
+}
+
+async function load(model_id, model_config, device) {
   try {
     self.postMessage({
       status: "loading",
@@ -169,11 +977,11 @@ async function load(model_id) {
       // We also add a progress callback to the pipeline so that we can
       // track model loading.
       self.postMessage(x);
-    });
+    }, model_config, device);
 
     self.postMessage({
       status: "loading",
-      data: "Compiling shaders and warming up model...",
+      data: device === "webgpu" ? "Compiling shaders and warming up model..." : "Warming up model...",
     });
 
     // Run model with dummy input to compile shaders
@@ -197,15 +1005,204 @@ async function load(model_id) {
     }
   }
 }
+/**
+ * Download the files of a model into the cache, skipping files that are
+ * already cached. `on_progress` is called with { file, fileIndex, fileCount,
+ * progress } as files come in. Resolves with the number of bytes downloaded.
+ */
+async function downloadModelFiles(model_id, model, device, on_progress) {
+  const files = getModelFiles(model, device);
+  const cache = await local_model_cache.openBrowserCache();
+  if (!cache) {
+    throw new Error("The browser cache is not available");
+  }
+
+  let bytes = 0;
+  for (const [index, { file, optional }] of files.entries()) {
+    const url = getFileUrl(model_id, file);
+    if (await cache.match(url)) continue;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      if (optional && response.status === 404) continue;
+      throw new Error(`Could not download ${file} (HTTP ${response.status})`);
+    }
+
+    // Store the response while reading a copy of it to report progress
+    const stored = cache.put(url, response.clone());
+    const total = Number(response.headers.get("Content-Length"));
+    const reader = response.body.getReader();
+    let loaded = 0;
+    let reported = -1;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      loaded += value.length;
+
+      const progress = total ? Math.floor((loaded / total) * 100) : null;
+      if (progress !== reported) {
+        reported = progress;
+        on_progress({ file, fileIndex: index, fileCount: files.length, progress });
+      }
+    }
+    await stored;
+    bytes += loaded;
+  }
+  return bytes;
+}
+
+/**
+ * Download the files of a model into the cache without loading it, so that
+ * it loads offline later.
+ */
+async function download(model_id, model_config, device) {
+  try {
+    const model = TextGenerationPipeline.findModelEntry(model_id, model_config);
+    await downloadModelFiles(model_id, model, device ?? model.device, (progress) => {
+      self.postMessage({ status: "download_progress", model_id, ...progress });
+    });
+    self.postMessage({ status: "download_complete", model_id });
+  } catch (error) {
+    self.postMessage({
+      status: "download_error",
+      model_id,
+      data: error.toString(),
+    });
+  }
+}
+
+// Prompt lengths in tokens that the benchmark measures generation at, as
+// far as they fit into the model's context window
+const BENCHMARK_PROMPT_LENGTHS = [128, 512, 2048];
+const BENCHMARK_NEW_TOKENS = 64;
+const BENCHMARK_FILLER = "The quick brown fox jumps over the lazy dog. ";
+
+/**
+ * Generate BENCHMARK_NEW_TOKENS tokens for a prompt of `prompt_length`
+ * tokens and time it. Prefill is the time until the first token, decoding
+ * everything after it.
+ */
+async function measureGeneration(tokenizer, model, prompt_length) {
+  clearKVCache();
+  const overhead = countTokens(tokenizer, [{ role: "user", content: "" }], null);
+  const filler_ids = tokenizer.encode(BENCHMARK_FILLER.repeat(Math.ceil(prompt_length / 8)), {
+    add_special_tokens: false,
+  });
+  const content = tokenizer.decode(filler_ids.slice(0, Math.max(1, prompt_length - overhead)));
+  const inputs = await tokenizePrompt(tokenizer, [{ role: "user", content }], false, null);
+
+  let first_token_time = null;
+  let new_tokens = 0;
+  const streamer = new TextStreamer(tokenizer, {
+    skip_prompt: true,
+    token_callback_function: () => {
+      first_token_time ??= performance.now();
+      new_tokens++;
+    },
+  });
+
+  const start = performance.now();
+  await model.generate({
+    ...inputs,
+    do_sample: false,
+    max_new_tokens: BENCHMARK_NEW_TOKENS,
+    min_new_tokens: BENCHMARK_NEW_TOKENS,
+    streamer,
+    stopping_criteria: [stopping_criteria],
+  });
+  const end = performance.now();
+
+  const prompt_tokens = inputs.input_ids.dims[1];
+  const ttft = first_token_time - start;
+  return {
+    promptTokens: prompt_tokens,
+    newTokens: new_tokens,
+    ttftMs: ttft,
+    prefillTps: (prompt_tokens / ttft) * 1000,
+    decodeTps: new_tokens > 1 ? ((new_tokens - 1) / (end - first_token_time)) * 1000 : null,
+  };
+}
+
+/**
+ * Benchmark models for the benchmark page, one after the other: download
+ * (only files that are not cached yet), loading from the cache, shader
+ * compilation and warm-up, then generation at each prompt length. Replies
+ * carry the `index` of the run.
+ */
+async function benchmark(runs) {
+  for (const [index, { model_id, device }] of runs.entries()) {
+    if (stopping_criteria.interrupted) break;
+
+    const progress = (name, details) => self.postMessage({ status: "benchmark_progress", index, step: { name, ...details } });
+    try {
+      const model_entry = TextGenerationPipeline.findModelEntry(model_id, null);
+
+      progress("download", { progress: null });
+      let start = performance.now();
+      const bytes = await downloadModelFiles(model_id, model_entry, device, ({ progress: percent, fileIndex, fileCount }) => {
+        progress("download", { progress: percent, fileIndex, fileCount });
+      });
+      const download = { ms: performance.now() - start, bytes };
+
+      // Load from the cache, without the model that is already loaded
+      progress("load");
+      await TextGenerationPipeline.unload();
+      start = performance.now();
+      const [tokenizer, model] = await TextGenerationPipeline.getInstance(model_id, null, null, device);
+      const load_ms = performance.now() - start;
+
+      // The same dummy generation load() runs to compile shaders
+      progress("warmup");
+      start = performance.now();
+      await model.generate({ ...tokenizer("a"), max_new_tokens: 1 });
+      const warmup_ms = performance.now() - start;
+
+      const prompts = [];
+      for (const prompt_length of BENCHMARK_PROMPT_LENGTHS) {
+        if (stopping_criteria.interrupted) break;
+        if (prompt_length + BENCHMARK_NEW_TOKENS > model_entry.contextSize) continue;
+        progress("generate", { promptLength: prompt_length });
+        prompts.push(await measureGeneration(tokenizer, model, prompt_length));
+      }
+
+      self.postMessage({
+        status: "benchmark_result",
+        index,
+        result: {
+          download,
+          loadMs: load_ms,
+          warmupMs: warmup_ms,
+          prompts,
+          peakContext: Math.max(0, ...prompts.map(({ promptTokens, newTokens }) => promptTokens + newTokens)),
+          interrupted: stopping_criteria.interrupted,
+        },
+      });
+    } catch (error) {
+      self.postMessage({ status: "benchmark_error", index, data: error.toString() });
+    }
+  }
+  self.postMessage({ status: "benchmark_complete" });
+}
+
 // Listen for messages from the main thread
 self.addEventListener("message", async (e) => {
-  const { type, data, model_id } = e.data;
+  const {
+    type,
+    data,
+    model_id,
+    model_config,
+    device,
+    system_prompt,
+    generation_config,
+    context_size,
+    summary,
+    continuation = false,
+    tools = false,
+    conversation_id = null,
+    thinking_stats = null,
+  } = e.data;
 
   switch (type) {
-    case "check":
-      check();
-      break;
-
     case "load":
       if (!model_id) {
         self.postMessage({
@@ -214,7 +1211,11 @@ self.addEventListener("message", async (e) => {
         });
         return;
       }
-      load(model_id);
+      load(model_id, model_config, device);
+      break;
+
+    case "download":
+      download(model_id, model_config, device);
       break;
 
     case "generate":
@@ -226,7 +1227,34 @@ self.addEventListener("message", async (e) => {
         return;
       }
       stopping_criteria.reset();
-      generate(data, model_id);
+      generate(data, model_id, {
+        system_prompt,
+        generation_config,
+        context_size,
+        summary,
+        continuation,
+        tools,
+        conversation_id,
+        thinking_stats,
+      });
+      break;
+
+    case "compare":
+      stopping_criteria.reset();
+      compare(data.messages, data.runs);
+      break;
+
+    case "benchmark":
+      stopping_criteria.reset();
+      benchmark(data.runs);
+      break;
+
+    case "embed":
+      embed(data.id, data.texts);
+      break;
+
+    case "count_tokens":
+      countAttachmentTokens(data);
       break;
 
     case "interrupt":
@@ -234,7 +1262,7 @@ self.addEventListener("message", async (e) => {
       break;
 
     case "reset":
-      // past_key_values_cache = null;
+      clearKVCache();
       stopping_criteria.reset();
       break;
   }
@@ -1,9 +1,103 @@
+import { readdirSync, readFileSync } from "node:fs";
+import { createHash } from "node:crypto";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+import { validateRegistry } from "./src/modelRegistry.js";
+
+// Fail the build, not just the app at startup, if the model registry is invalid
+function validateModelRegistry() {
+  return {
+    name: "validate-model-registry",
+    buildStart() {
+      validateRegistry();
+    },
+  };
+}
+
+// Pyodide runs the Python code blocks of answers (see src/utils/codeRunner.js).
+// Its files are loaded at runtime and handed to the code runner's sandbox, so
+// they are copied into pyodide/ of the build as they are, where the service
+// worker caches them for offline use.
+const PYODIDE_FILES = [
+  "pyodide.mjs",
+  "pyodide.asm.mjs",
+  "pyodide.asm.wasm",
+  "python_stdlib.zip",
+  "pyodide-lock.json",
+];
+const CONTENT_TYPES = {
+  ".mjs": "text/javascript",
+  ".wasm": "application/wasm",
+  ".zip": "application/zip",
+  ".json": "application/json",
+};
+
+function pyodide() {
+  return {
+    name: "pyodide",
+    configureServer(server) {
+      server.middlewares.use("/pyodide", (req, res, next) => {
+        const file = req.url.split("?")[0].slice(1);
+        if (!PYODIDE_FILES.includes(file)) return next();
+        res.setHeader("Content-Type", CONTENT_TYPES[file.slice(file.lastIndexOf("."))]);
+        res.end(readFileSync(`node_modules/pyodide/${file}`));
+      });
+    },
+    generateBundle() {
+      for (const file of PYODIDE_FILES) {
+        this.emitFile({
+          type: "asset",
+          fileName: `pyodide/${file}`,
+          source: readFileSync(`node_modules/pyodide/${file}`),
+        });
+      }
+    },
+  };
+}
+
+// Emit sw.js from src/serviceWorker.js together with the list of every file
+// in the build, so the app starts offline once it has been opened. The cache
+// version is a hash of all contents, so any change to the build is an update.
+function serviceWorker() {
+  return {
+    name: "service-worker",
+    apply: "build",
+    generateBundle(_options, bundle) {
+      // index.html is emitted after this hook runs, so add it by hand
+      const hash = createHash("sha256").update(readFileSync("index.html"));
+      const files = new Set(["./", "./index.html"]);
+
+      for (const fileName of readdirSync("public")) {
+        files.add(`./${fileName}`);
+        hash.update(fileName).update(readFileSync(`public/${fileName}`));
+      }
+      for (const [fileName, output] of Object.entries(bundle)) {
+        if (fileName.endsWith(".map")) continue;
+        files.add(`./${fileName}`);
+        hash.update(fileName).update(output.type === "chunk" ? output.code : output.source);
+      }
+
+      const source = readFileSync("src/serviceWorker.js", "utf-8");
+      hash.update(source);
+
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: [
+          `const PRECACHE_FILES = ${JSON.stringify([...files].sort(), null, 2)};`,
+          `const CACHE_VERSION = "${hash.digest("hex").slice(0, 16)}";`,
+          "",
+          source,
+        ].join("\n"),
+      });
+    },
+  };
+}
+
 // https://vitejs.dev/config/
 export default defineConfig({
   // Use relative paths in production builds so the app can be hosted from any subfolder.
   base: './',
-  plugins: [react()],
+  plugins: [react(), validateModelRegistry(), pyodide(), serviceWorker()],
 });